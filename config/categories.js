@@ -1,10 +1,10 @@
 /*
  * Cost Categories Configuration
- * Defines the valid categories for cost items.
- * Used for validation in Cost model and report generation.
+ * Defines the default categories for cost items.
+ * Seeds the categories collection when it is empty.
  */
 
-// Array of all valid cost categories
+// Array of default cost categories
 const CATEGORIES = [
     // Food and groceries expenses
     'food',
@@ -18,5 +18,5 @@ const CATEGORIES = [
     'education'
 ];
 
-// Export categories array for use in models and routes
+// Export categories array for seeding the categories collection
 export default CATEGORIES;
@@ -1,7 +1,8 @@
 /*
  * Costs Service Entry Point
  * Process handling cost management and report generation.
- * Implements the Computed Design Pattern for report caching.
+ * Implements the Computed Design Pattern for report caching
+ * and runs the recurring cost scheduler.
  * Runs on port 3003 (configurable via COSTS_PORT env variable).
  */
 // Load environment variables from .env file
@@ -13,19 +14,54 @@ dotenv.config();
 // Import service utilities
 import { startService } from './utils/startService.js';
 import { logger } from './utils/logger.js';
+import { startRecurringScheduler } from './utils/recurring.js';
 
 // Import route handlers for cost operations
 import addCostRoutes from './routes/add_cost.routes.js';
+import bulkCostRoutes from './routes/bulk_cost.routes.js';
 import reportRoutes from './routes/report.routes.js';
+import tagReportRoutes from './routes/tag_report.routes.js';
+import yearlyReportRoutes from './routes/yearly_report.routes.js';
+import rangeReportRoutes from './routes/range_report.routes.js';
+import costRoutes from './routes/cost.routes.js';
+import editCostRoutes from './routes/edit_cost.routes.js';
+import deleteCostRoutes from './routes/delete_cost.routes.js';
+import categoryRoutes from './routes/category.routes.js';
+import rateRoutes from './routes/rate.routes.js';
+import budgetRoutes from './routes/budget.routes.js';
+import limitRoutes from './routes/limit.routes.js';
+import recurringRoutes from './routes/recurring.routes.js';
+import splitRoutes from './routes/split.routes.js';
+import settlementRoutes from './routes/settlement.routes.js';
 
 // Start the Costs process with error handling
 try {
-    // Configure and launch the Costs service with both routers
+    // Configure and launch the Costs service with all cost routers
     await startService({
         serviceName: 'Costs',
         port: process.env.PORT || process.env.COSTS_PORT || 3003,
-        routers: [addCostRoutes, reportRoutes]
+        routers: [
+            addCostRoutes,
+            bulkCostRoutes,
+            reportRoutes,
+            tagReportRoutes,
+            yearlyReportRoutes,
+            rangeReportRoutes,
+            costRoutes,
+            editCostRoutes,
+            deleteCostRoutes,
+            categoryRoutes,
+            rateRoutes,
+            budgetRoutes,
+            limitRoutes,
+            recurringRoutes,
+            splitRoutes,
+            settlementRoutes
+        ]
     });
+
+    // Create recurring costs as they fall due
+    startRecurringScheduler();
 } catch (err) {
     // Log fatal error and exit process on startup failure
     logger.fatal({ err }, 'Costs service failed to start.');
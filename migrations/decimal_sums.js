@@ -0,0 +1,75 @@
+/*
+ * Migration: Decimal Cost Sums
+ * Converts cost sums stored as plain numbers to Decimal128.
+ * Safe to run repeatedly: already converted costs are skipped.
+ * Usage: npm run migrate:decimal-sums
+ */
+// Load environment variables from .env file
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+// Import database connection utilities
+import { connectDb } from '../db.js';
+import getMongoUri from '../config/mongo_conn.js';
+import { logger } from '../utils/logger.js';
+
+// Import model and conversion helper
+import Cost from '../models/cost.model.js';
+import { toDecimal } from '../utils/money.js';
+
+// Initialize environment configuration
+dotenv.config();
+
+// Number of costs converted per bulk write
+const BATCH_SIZE = 500;
+
+/*
+ * Converts every numeric sum to Decimal128 in batches.
+ * Returns the number of converted costs.
+ */
+async function migrateDecimalSums() {
+    // Costs whose sum is still a double, int or long
+    const cursor = Cost.collection.find(
+        { sum: { $type: ['double', 'int', 'long'] } },
+        { projection: { sum: 1 } }
+    );
+    let batch = [];
+    let converted = 0;
+
+    for await (const cost of cursor) {
+        // Shortest decimal form of the number (0.1 stays 0.1)
+        batch.push({
+            updateOne: {
+                filter: { _id: cost._id, sum: cost.sum },
+                update: { $set: { sum: toDecimal(cost.sum) } }
+            }
+        });
+
+        // Write a full batch
+        if (batch.length === BATCH_SIZE) {
+            const result = await Cost.collection.bulkWrite(batch);
+            converted += result.modifiedCount;
+            batch = [];
+        }
+    }
+
+    // Write the remaining costs
+    if (batch.length > 0) {
+        const result = await Cost.collection.bulkWrite(batch);
+        converted += result.modifiedCount;
+    }
+    return converted;
+}
+
+// Run the migration with error handling
+try {
+    await connectDb(getMongoUri());
+    const converted = await migrateDecimalSums();
+
+    logger.info({ converted }, 'Cost sums migrated to Decimal128.');
+    await mongoose.connection.close();
+} catch (err) {
+    // Log fatal error and exit with failure status
+    logger.fatal({ err }, 'Decimal sums migration failed.');
+    process.exit(1);
+}
@@ -0,0 +1,64 @@
+/*
+ * Budget Model
+ * Defines the schema for monthly spending limits in MongoDB.
+ * A budget applies to one user and category, either for a single
+ * month or, with year and month left empty, as the recurring default.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+// Decimal128 to number conversion for amounts
+import { toAmount } from '../utils/money.js';
+
+// Schema definition for budget documents
+const schema = {
+    // User the budget belongs to
+    userid: {
+        type: Number,
+        required: true
+    },
+    // Budgeted cost category
+    category: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Budget year (null for the recurring default)
+    year: {
+        type: Number,
+        default: null
+    },
+    // Budget month 1-12 (null for the recurring default)
+    month: {
+        type: Number,
+        default: null,
+        min: 1,
+        max: 12
+    },
+    // Spending limit in the base currency
+    amount: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        // Expose the stored decimal as a plain number
+        get: toAmount
+    }
+};
+
+// Create Mongoose schema for the budgets collection
+const budgetSchema = new mongoose.Schema(schema, {
+    collection: 'budgets',
+    versionKey: false,
+    // Apply the amount getter when documents are sent as JSON
+    toJSON: { getters: true, virtuals: false }
+});
+
+// One budget per user, category and month (or recurring default)
+budgetSchema.index(
+    { userid: 1, category: 1, year: 1, month: 1 },
+    { unique: true }
+);
+
+// Create and export the Budget model
+const Budget = mongoose.model('Budget', budgetSchema);
+
+export default Budget;
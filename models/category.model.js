@@ -0,0 +1,36 @@
+/*
+ * Category Model
+ * Defines the schema for cost category documents in MongoDB.
+ * Categories are managed at runtime through /api/categories;
+ * insertion order (_id) is the order used in reports.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+
+// Schema definition for category documents
+const schema = {
+    // Category name as stored on cost items (lowercase)
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    // Optional human-readable description
+    description: {
+        type: String,
+        trim: true
+    }
+};
+
+// Create Mongoose schema for the categories collection
+const categorySchema = new mongoose.Schema(schema, {
+    collection: 'categories',
+    versionKey: false
+});
+
+// Create and export the Category model
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
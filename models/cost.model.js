@@ -2,11 +2,16 @@
  * Cost Model
  * Defines the schema for cost item documents in MongoDB.
  * Includes validation to prevent costs with past dates.
+ * Sums are stored as Decimal128 and returned as plain numbers.
  */
 // MongoDB library for schema definition and validation
 import mongoose from 'mongoose';
-// Array of valid cost categories for enum validation
-import CATEGORIES from '../config/categories.js';
+// Runtime category list for category validation
+import { getCategories } from '../utils/categories.js';
+// Decimal128 to number conversion for sums
+import { toAmount } from '../utils/money.js';
+// Per-deployment base currency used as the default
+import { getBaseCurrency } from '../utils/currency.js';
 
 // Schema definition for cost documents
 const schema = {
@@ -15,11 +20,16 @@ const schema = {
         type: String,
         required: true
     },
-    // Category must be one of: food, health, housing, sports, education
+    // Category must exist in the categories collection
     category: {
         type: String,
         required: true,
-        enum: CATEGORIES
+        validate: {
+            validator: async value => (await getCategories()).includes(value),
+            message: props =>
+                `Category '${props.value}' is not in the list of ` +
+                'accepted categories.'
+        }
     },
     // User ID field linking cost to a user
     userid: {
@@ -33,28 +43,75 @@ const schema = {
         // Ensure userid is positive
         min: [1, 'User ID must be a positive integer.']
     },
-    // Sum (amount) of the cost item
-    sum: {
+    // User who paid the cost, when not the user it belongs to
+    paid_by: {
         type: Number,
+        default: undefined,
+        // Validate that paid_by is a positive integer
+        validate: {
+            validator: value => Number.isInteger(value) && value > 0,
+            message: 'Paid by must be a positive integer user ID.'
+        }
+    },
+    // Sum (amount) of the cost item, exact decimal
+    sum: {
+        type: mongoose.Schema.Types.Decimal128,
         required: true,
-        // Validate that sum is a finite number
+        // Expose the stored decimal as a plain number
+        get: toAmount,
+        // Validate that sum is a non-negative finite number
         validate: {
-            validator: Number.isFinite,
-            message: 'Sum must be a finite number.'
-        },
-        // Ensure sum is non-negative
-        min: [0, 'Sum must be a non-negative number.']
+            validator: value => {
+                const amount = toAmount(value);
+                return Number.isFinite(amount) && amount >= 0;
+            },
+            message: 'Sum must be a non-negative finite number.'
+        }
+    },
+    // Currency of the sum (three-letter code, defaults to base)
+    currency: {
+        type: String,
+        uppercase: true,
+        match: /^[A-Z]{3}$/,
+        default: getBaseCurrency
+    },
+    // Optional free-form tags (lowercase, e.g. 'vacation-2026')
+    tags: {
+        type: [String],
+        default: undefined
+    },
+    // Recurring definition that created the cost, if any
+    recurring_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: undefined
+    },
+    // Split group linking the portions of a shared cost, if any
+    split_group: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: undefined,
+        index: true
+    },
+    // This portion's shares or percent of the shared cost
+    split_weight: {
+        type: Number,
+        default: undefined
     },
     /*
      * Date validation: prevents adding costs with past dates.
      * Compares against start of today (00:00:00 server local time).
+     * Admin backfill and the recurring cost scheduler set
+     * doc.$locals.allowPastDate to skip the check.
      */
     // Date field with validation to reject past dates
     date: {
         type: Date,
         default: Date.now,
         validate: {
-            validator: value => {
+            validator: function (value) {
+                // Authorized backfill may store historical dates
+                if (this?.$locals?.allowPastDate) {
+                    return true;
+                }
                 // Get today's date at midnight
                 const startOfToday = new Date();
                 startOfToday.setHours(0, 0, 0, 0);
@@ -70,9 +127,23 @@ const schema = {
 // Create Mongoose schema for the costs collection
 const costSchema = new mongoose.Schema(schema, {
     collection: 'costs',
-    versionKey: false
+    versionKey: false,
+    // Apply the sum getter when documents are sent as JSON
+    toJSON: { getters: true, virtuals: false }
 });
 
+// Reports and listings read a user's costs by date range
+costSchema.index({ userid: 1, date: 1 });
+
+// One cost per recurring definition and due date
+costSchema.index(
+    { recurring_id: 1, date: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { recurring_id: { $exists: true } }
+    }
+);
+
 // Create and export the Cost model
 const Cost = mongoose.model('Cost', costSchema);
 
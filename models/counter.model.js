@@ -0,0 +1,33 @@
+/*
+ * Counter Model
+ * Stores named sequences used to hand out numeric IDs.
+ * Each document holds the last value issued for one sequence.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+
+// Schema definition for counter documents
+const schema = {
+    // Sequence name (e.g., 'users')
+    _id: {
+        type: String,
+        required: true
+    },
+    // Last value issued (or reserved) for this sequence
+    seq: {
+        type: Number,
+        required: true,
+        default: 0
+    }
+};
+
+// Create Mongoose schema for the counters collection
+const counterSchema = new mongoose.Schema(schema, {
+    collection: 'counters',
+    versionKey: false
+});
+
+// Create and export the Counter model
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,54 @@
+/*
+ * Idempotency Model
+ * Stores the first response sent for each Idempotency-Key.
+ * Documents expire automatically through a TTL index.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+
+// Replay window in seconds (IDEMPOTENCY_TTL_SECONDS, default 24 hours)
+const IDEMPOTENCY_TTL_SECONDS =
+    Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+
+// Schema definition for idempotency records
+const schema = {
+    // Client-provided Idempotency-Key header value
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Hash of method, path and body of the first request
+    request_hash: {
+        type: String,
+        required: true
+    },
+    // Stored response status (unset while the request is in progress)
+    status: {
+        type: Number
+    },
+    // Stored response body
+    body: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // Creation time; the TTL index removes expired records
+    created_at: {
+        type: Date,
+        default: Date.now,
+        expires: IDEMPOTENCY_TTL_SECONDS
+    }
+};
+
+// Create Mongoose schema for the idempotency_keys collection
+const idempotencySchema = new mongoose.Schema(schema, {
+    collection: 'idempotency_keys',
+    versionKey: false,
+    // Allow storing empty objects in the body field
+    minimize: false
+});
+
+// Create and export the IdempotencyKey model
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencySchema);
+
+export { IDEMPOTENCY_TTL_SECONDS };
+export default IdempotencyKey;
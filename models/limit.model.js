@@ -0,0 +1,66 @@
+/*
+ * Spending Limit Model
+ * Defines the schema for hard spending caps in MongoDB.
+ * A limit caps a user's spending in one category per day,
+ * week or month; costs exceeding it are rejected.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+// Decimal128 to number conversion for amounts
+import { toAmount } from '../utils/money.js';
+
+// Periods a limit can apply to
+const LIMIT_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Schema definition for spending limit documents
+const schema = {
+    // User the limit applies to
+    userid: {
+        type: Number,
+        required: true
+    },
+    // Capped cost category
+    category: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Period the cap applies to
+    period: {
+        type: String,
+        required: true,
+        enum: LIMIT_PERIODS
+    },
+    // Most that may be spent per period, in the base currency
+    amount: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        // Expose the stored decimal as a plain number
+        get: toAmount
+    },
+    // Bumped by every transaction checking a cost against the limit,
+    // so concurrent checks write-conflict (internal, not returned)
+    checks: {
+        type: Number,
+        default: 0,
+        select: false
+    }
+};
+
+// Create Mongoose schema for the spending_limits collection
+const limitSchema = new mongoose.Schema(schema, {
+    collection: 'spending_limits',
+    versionKey: false,
+    // Apply the amount getter when documents are sent as JSON
+    toJSON: { getters: true, virtuals: false }
+});
+
+// One limit per user, category and period
+limitSchema.index({ userid: 1, category: 1, period: 1 }, { unique: true });
+
+// Create and export the SpendingLimit model
+const SpendingLimit = mongoose.model('SpendingLimit', limitSchema);
+
+export { LIMIT_PERIODS };
+export default SpendingLimit;
@@ -0,0 +1,49 @@
+/*
+ * Rate Model
+ * Defines the schema for exchange-rate documents in MongoDB.
+ * Each rate gives the value of one unit of a currency in the base
+ * currency and applies from its date until the next rate.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+// Decimal128 to number conversion for rates
+import { toAmount } from '../utils/money.js';
+
+// Schema definition for rate documents
+const schema = {
+    // Three-letter currency code (e.g. USD)
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true,
+        match: /^[A-Z]{3}$/
+    },
+    // Value of one unit of the currency in the base currency
+    rate: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        // Expose the stored decimal as a plain number
+        get: toAmount
+    },
+    // Date the rate takes effect
+    date: {
+        type: Date,
+        required: true
+    }
+};
+
+// Create Mongoose schema for the rates collection
+const rateSchema = new mongoose.Schema(schema, {
+    collection: 'rates',
+    versionKey: false,
+    // Apply the rate getter when documents are sent as JSON
+    toJSON: { getters: true, virtuals: false }
+});
+
+// One rate per currency and date; serves "latest rate before" lookups
+rateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+// Create and export the Rate model
+const Rate = mongoose.model('Rate', rateSchema);
+
+export default Rate;
@@ -0,0 +1,97 @@
+/*
+ * Recurring Cost Model
+ * Defines the schema for recurring cost definitions in MongoDB.
+ * The Costs service scheduler turns each definition into regular
+ * cost documents on the days its schedule falls due.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+// Decimal128 to number conversion for sums
+import { toAmount } from '../utils/money.js';
+// Per-deployment base currency used as the default
+import { getBaseCurrency } from '../utils/currency.js';
+
+// Supported schedule frequencies
+const RECURRING_FREQUENCIES = ['weekly', 'monthly'];
+
+// Schema definition for recurring cost documents
+const schema = {
+    // Description copied to every created cost
+    description: {
+        type: String,
+        required: true
+    },
+    // Category copied to every created cost
+    category: {
+        type: String,
+        required: true
+    },
+    // User the costs belong to
+    userid: {
+        type: Number,
+        required: true
+    },
+    // Sum of every created cost, exact decimal
+    sum: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        // Expose the stored decimal as a plain number
+        get: toAmount
+    },
+    // Currency of the sum (three-letter code, defaults to base)
+    currency: {
+        type: String,
+        uppercase: true,
+        match: /^[A-Z]{3}$/,
+        default: getBaseCurrency
+    },
+    // Optional tags copied to every created cost
+    tags: {
+        type: [String],
+        default: undefined
+    },
+    /*
+     * When the cost falls due: monthly on day 1-31 (clamped to the
+     * last day of shorter months) or weekly on day 1-7 (Monday-Sunday).
+     */
+    schedule: {
+        frequency: {
+            type: String,
+            required: true,
+            enum: RECURRING_FREQUENCIES
+        },
+        day: {
+            type: Number,
+            required: true
+        }
+    },
+    // First day the schedule applies
+    start_date: {
+        type: Date,
+        required: true
+    },
+    // Last day the schedule applies (open-ended when unset)
+    end_date: {
+        type: Date,
+        default: null
+    },
+    // Last day already turned into costs by the scheduler
+    materialized_through: {
+        type: Date,
+        default: null
+    }
+};
+
+// Create Mongoose schema for the recurring_costs collection
+const recurringSchema = new mongoose.Schema(schema, {
+    collection: 'recurring_costs',
+    versionKey: false,
+    // Apply the sum getter when documents are sent as JSON
+    toJSON: { getters: true, virtuals: false }
+});
+
+// Create and export the RecurringCost model
+const RecurringCost = mongoose.model('RecurringCost', recurringSchema);
+
+export { RECURRING_FREQUENCIES };
+export default RecurringCost;
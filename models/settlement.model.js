@@ -0,0 +1,49 @@
+/*
+ * Settlement Model
+ * Defines the schema for payments between users in MongoDB.
+ * A settlement records that one user paid another to settle
+ * costs paid on each other's behalf.
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+// Decimal128 to number conversion for amounts
+import { toAmount } from '../utils/money.js';
+
+// Schema definition for settlement documents
+const schema = {
+    // User who paid
+    from: {
+        type: Number,
+        required: true
+    },
+    // User who received the payment
+    to: {
+        type: Number,
+        required: true
+    },
+    // Amount paid in the base currency
+    amount: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        // Expose the stored decimal as a plain number
+        get: toAmount
+    },
+    // Date of the payment
+    date: {
+        type: Date,
+        default: Date.now
+    }
+};
+
+// Create Mongoose schema for the settlements collection
+const settlementSchema = new mongoose.Schema(schema, {
+    collection: 'settlements',
+    versionKey: false,
+    // Apply the amount getter when documents are sent as JSON
+    toJSON: { getters: true, virtuals: false }
+});
+
+// Create and export the Settlement model
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+export default Settlement;
@@ -3,6 +3,7 @@
  * IMPORTANT: 'id' and '_id' are different properties
  * - id: Application-level user ID (Number, unique)
  * - _id: MongoDB's internal ObjectId (auto-generated)
+ * Soft-deleted users keep their document with 'deleted_at' set.
  */
 // MongoDB library for schema definition and database operations
 import mongoose from 'mongoose';
@@ -46,6 +47,10 @@ const schema = {
             // Error message used when validation fails
             message: 'Birthday cannot be in the future.'
         }
+    },
+    // Soft-delete timestamp (unset while the user is active)
+    deleted_at: {
+        type: Date
     }
 };
 
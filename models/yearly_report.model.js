@@ -0,0 +1,61 @@
+/*
+ * Yearly Report Model - Stores cached yearly cost reports.
+ * Implements caching layer for the Computed Pattern:
+ * - Completed year reports are cached after first generation
+ * - Current/future year reports are NOT cached (data may change)
+ */
+// MongoDB library for schema definition and database operations
+import mongoose from 'mongoose';
+
+// Schema for cached yearly report documents
+const schema = {
+    // User ID for whom the report was generated
+    userid: {
+        type: Number,
+        required: true,
+        // Validate userid is a positive integer
+        validate: {
+            validator: value => (Number.isInteger(value) && value > 0),
+            message: 'User ID must be a positive integer.'
+        }
+    },
+    // Year of the report (e.g., 2025)
+    year: {
+        type: Number,
+        required: true,
+        // Validate year is a positive integer
+        validate: {
+            validator: value => (Number.isInteger(value) && value > 0),
+            message: 'Year must be a positive integer.'
+        }
+    },
+    // Twelve entries, each with a month's category totals and total
+    months: {
+        type: Array,
+        required: true
+    },
+    // Category totals of the whole year
+    categories: {
+        type: Array,
+        required: true
+    },
+    // Grand total of the year
+    total: {
+        type: Number,
+        required: true
+    }
+};
+
+// Create Mongoose schema for the yearly_reports collection
+const yearlyReportSchema = new mongoose.Schema(schema, {
+    collection: 'yearly_reports',
+    versionKey: false
+});
+
+// One cached report per user and year
+yearlyReportSchema.index({ userid: 1, year: 1 }, { unique: true });
+
+// Create and export the YearlyReport model
+const YearlyReport = mongoose.model('YearlyReport', yearlyReportSchema);
+
+export default YearlyReport;
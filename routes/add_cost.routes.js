@@ -1,157 +1,272 @@
 /*
  * Add Cost Routes
- * Handles POST /api/add for creating new cost items.
- * Validates cost data and prevents past-dated entries.
+ * Handles POST /api/add for creating new cost items, optionally
+ * split among several users.
+ * Validates cost data and prevents past-dated entries,
+ * except through the admin-only POST /api/add/backfill.
  */
 import express from 'express';
+// MongoDB library for split group identifiers
+import mongoose from 'mongoose';
 // Import Cost model for database operations
 import Cost from '../models/cost.model.js';
 // Import User model for validation
 import User from '../models/user.model.js';
-// Import valid categories list
-import CATEGORIES from '../config/categories.js';
 // Import logging utility
 import { logEndpointAccess } from '../utils/logger.js';
+// Import shared cost field and split validation
+import { validateCostFields, parseSplit } from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import admin authorization for backfill and limit overrides
+import { isAdminRequest, requireAdmin } from '../utils/adminAuth.js';
+// Import report cache invalidation
+import { invalidateReports } from '../utils/reportCache.js';
+// Import budget status of the cost's category and month
+import { getCostBudgetStatus } from '../utils/budgets.js';
+// Import spending limit enforcement
+import { saveWithinLimits, describeExceeded } from '../utils/limits.js';
+// Import exact proportional splitting of sums
+import { splitAmount } from '../utils/money.js';
+// Import exchange-rate availability check
+import {
+    getBaseCurrency,
+    findUnconvertible,
+    missingRateMessage
+} from '../utils/currency.js';
 
 // Create Express router
 const router = express.Router();
 /*
- * POST /add
- * Creates a new cost item with description, category,
- * userid, sum, and optional date.
+ * Splits a validated cost into one cost document per user, linked
+ * by a new split group. The portions add up exactly to the sum.
  */
-// Handler for POST requests to /add endpoint
-router.post('/add', async (req, res) => {
-    try {
-        logEndpointAccess(req, 'Endpoint accessed: POST /api/add (cost)');
-
-        // Extract cost data from request body
-        const { description, category, userid, sum, date } =
-            req.body || {};
-
-        const descriptionTrimmed = description?.trim();
-        const categoryTrimmed = category?.trim()?.toLowerCase();
-
-        // Validate required fields are present
-        if (
-            !descriptionTrimmed ||
-            !categoryTrimmed ||
-            typeof userid === 'undefined' ||
-            typeof sum === 'undefined'
-        ) {
-            // Return error for missing fields
-            return res.status(400).json({
-                id: 400,
-                message: 'Missing required fields.'
-            });
-        }
+function buildSplitCosts(value, parts) {
+    const group = new mongoose.Types.ObjectId();
+    const sums = splitAmount(value.sum, parts.map(part => part.weight));
 
-        // Validate that category is in the list of accepted categories
-        if (!CATEGORIES.includes(categoryTrimmed)) {
-            // Build error message with valid categories list
-            return res.status(400).json({
-                id: 400,
-                // Construct detailed message with category list
-                message:
-                    `Category '${categoryTrimmed}' is not in the ` +
-                    `list of accepted categories. ` +
-                    `The accepted categories are: ` +
-                    // Append comma-separated list of valid categories
-                    `${CATEGORIES.join(', ')}.`
-            });
-        }
+    return parts.map((part, index) => new Cost({
+        ...value,
+        userid: part.userid,
+        sum: sums[index],
+        split_group: group,
+        split_weight: part.weight
+    }));
+}
 
-        // Convert user ID to number and validate
-        const numericUserId = Number(userid);
+/*
+ * Returns a saved cost as sent to the client, with the budget
+ * status of its category and month when a budget applies.
+ */
+async function withBudgetStatus(cost) {
+    const status = await getCostBudgetStatus(cost);
 
-        // Ensure user ID is a positive integer
-        if (!Number.isInteger(numericUserId) || numericUserId <= 0) {
-            // Return error for invalid user ID
-            return res.status(400).json({
-                id: 400,
-                message: 'User ID must be a positive integer.'
-            });
-        }
+    // No budget applies
+    if (!status) {
+        return cost;
+    }
 
-        // Convert sum to number and validate
-        const numericSum = Number(sum);
-
-        // Check if sum is null, Infinity, -Infinity, NaN, or negative
-        if (
-            sum === null ||
-            !Number.isFinite(numericSum) ||
-            numericSum < 0
-        ) {
-            // Return error for invalid sum
-            return res.status(400).json({
-                id: 400,
-                message: 'Sum must be a non-negative finite number.'
-            });
-        }
+    const { budget, spent, remaining, over_budget } = status;
 
-        // Use provided date or default to current server time
-        const requestDate = date ? new Date(date) : new Date();
+    return {
+        ...cost.toJSON(),
+        budget: { amount: budget, spent, remaining },
+        over_budget
+    };
+}
 
-        // Validate date format
-        if (Number.isNaN(requestDate.getTime())) {
-            // Return error for invalid date
-            return res.status(400).json({
-                id: 400,
-                message: 'Invalid date format.'
-            });
-            // End of date format validation
-        }
-        /*
-         * Prevent past-dated costs:
-         * Compare against start of today (00:00:00 server local time).
-         */
-        const startOfToday = new Date();
-        // Set time to midnight
-        startOfToday.setHours(0, 0, 0, 0);
-
-        // Reject if cost date is before today
-        if (requestDate < startOfToday) {
-            // Return error for past-dated cost
-            return res.status(400).json({
-                id: 400,
-                message: 'Date cannot be in the past.'
+/*
+ * Builds the handler that creates one cost item, or one linked
+ * cost per user when the body carries a split. Backfill mode
+ * accepts historical dates and invalidates the cached report of
+ * the affected month. Regular costs must stay within the user's
+ * spending limits unless an admin sends override_limits: true.
+ * When the category has a budget for the month, the response
+ * reports its status.
+ */
+function createCostHandler({ backfill = false } = {}) {
+    // Path used in endpoint access logs
+    const path = backfill ? '/api/add/backfill' : '/api/add';
+
+    return async (req, res) => {
+        try {
+            logEndpointAccess(req, `Endpoint accessed: POST ${path} (cost)`);
+
+            // Limit overrides are reserved for admins
+            const overrideLimits = req.body?.override_limits === true;
+
+            if (overrideLimits && !isAdminRequest(req)) {
+                return res.status(403).json({
+                    id: 403,
+                    message: 'Admin authorization required.'
+                });
+            }
+
+            // Optional split of the cost across several users
+            const { split, ...fields } = req.body || {};
+            const parsedSplit =
+                typeof split === 'undefined' ? null : parseSplit(split);
+
+            if (parsedSplit?.message) {
+                return res.status(400).json({
+                    id: 400,
+                    message: parsedSplit.message
+                });
+            }
+
+            // A split names its users instead of a single userid
+            if (parsedSplit && typeof fields.userid !== 'undefined') {
+                return res.status(400).json({
+                    id: 400,
+                    message: 'Provide either userid or split, not both.'
+                });
+            }
+
+            // Validate and normalize cost fields (split costs are
+            // checked as a cost of their first user)
+            const { value, message } = validateCostFields(
+                parsedSplit
+                    ? { ...fields, userid: parsedSplit.parts[0].userid }
+                    : fields,
+                {
+                    allowPastDate: backfill,
+                    categories: await getCategories()
+                }
+            );
+
+            // Return first validation error
+            if (message) {
+                return res.status(400).json({ id: 400, message });
+            }
+
+            // A foreign currency needs a rate in effect on the date
+            const [unconvertible] = await findUnconvertible([value]);
+
+            if (unconvertible) {
+                return res.status(400).json({
+                    id: 400,
+                    message: missingRateMessage(
+                        unconvertible,
+                        getBaseCurrency()
+                    )
+                });
+            }
+
+            // Users the cost belongs to, and the payer
+            const userIds = parsedSplit
+                ? parsedSplit.parts.map(part => part.userid)
+                : [value.userid];
+
+            if (
+                typeof value.paid_by !== 'undefined' &&
+                !userIds.includes(value.paid_by)
+            ) {
+                userIds.push(value.paid_by);
+            }
+
+            // Validate that every id refers to an existing, active user
+            const activeUsers = await User.find({
+                id: { $in: userIds },
+                deleted_at: null
+            }).select({ id: 1 }).lean();
+            const activeIds = new Set(activeUsers.map(user => user.id));
+            const missingId = userIds.find(id => !activeIds.has(id));
+
+            // Return error if a user was not found
+            if (typeof missingId !== 'undefined') {
+                // User does not exist in the database
+                return res.status(400).json({
+                    id: 400,
+                    message: `User ${missingId} does not exist.`
+                });
+            }
+
+            // Create one cost document, or one per user of the split
+            const costs = parsedSplit
+                ? buildSplitCosts(value, parsedSplit.parts)
+                : [new Cost(value)];
+
+            for (const cost of costs) {
+                // Let the model accept historical dates when backfilling
+                cost.$locals.allowPastDate = backfill;
+            }
+
+            // Save costs (backfills and admin overrides skip the limits)
+            const saved = await saveWithinLimits(costs, {
+                skipLimits: backfill || overrideLimits
             });
-        }
 
-        // Validate that id refers to an existing user
-        const userExists = await User.exists({ id: numericUserId });
+            // Period spending could not be converted for the check
+            if (saved.message) {
+                return res.status(400).json({
+                    id: 400,
+                    message: saved.message
+                });
+            }
+
+            // Reject costs exceeding a spending limit, naming the
+            // user whose portion of a split exceeds it
+            if (saved.exceeded) {
+                return res.status(403).json({
+                    id: 403,
+                    ...describeExceeded(saved.exceeded, {
+                        nameUser: Boolean(parsedSplit)
+                    })
+                });
+            }
+
+            // Past months may already have a cached report
+            if (backfill) {
+                await invalidateReports(saved.costs);
+            }
+
+            // Attach budget status of each cost's category and month
+            const results = [];
 
-        // Return error if user not found
-        if (!userExists) {
-            // User does not exist in the database
-            return res.status(400).json({
-                id: 400,
-                message: `User ${numericUserId} does not exist.`
+            for (const cost of saved.costs) {
+                results.push(await withBudgetStatus(cost));
+            }
+
+            // Return created cost with 201 status
+            if (!parsedSplit) {
+                return res.status(201).json(results[0]);
+            }
+
+            // Return the split group with every user's portion
+            return res.status(201).json({
+                split_group: saved.costs[0].split_group,
+                sum: value.sum,
+                costs: results
+            });
+        } catch (err) {
+            // Handle any errors
+            return res.status(500).json({
+                id: 500,
+                message: 'Internal server error.'
             });
         }
+    };
+}
 
-        // Create new cost document
-        const cost = new Cost({
-            description: descriptionTrimmed,
-            category: categoryTrimmed,
-            userid: numericUserId,
-            sum: numericSum,
-            // Use validated date
-            date: requestDate
-        });
-
-        // Save cost to database
-        const savedCost = await cost.save();
-
-        // Return created cost with 201 status
-        return res.status(201).json(savedCost);
-    } catch (err) {
-        // Handle any errors
-        return res.status(500).json({
-            id: 500,
-            message: 'Internal server error.'
-        });
-    }
-});
+/*
+ * POST /add
+ * Creates a new cost item with description, category,
+ * userid, sum, and optional date. With split instead of userid,
+ * creates one linked cost per user holding their portion.
+ */
+// Handler for POST requests to /add endpoint
+router.post('/add', createCostHandler());
+
+/*
+ * POST /add/backfill
+ * Admin-only variant of POST /add that accepts past dates,
+ * for importing historical expenses.
+ */
+// Handler for POST requests to /add/backfill endpoint
+router.post(
+    '/add/backfill',
+    requireAdmin,
+    createCostHandler({ backfill: true })
+);
 // Export router for use in main application
 export default router;
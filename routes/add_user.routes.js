@@ -2,6 +2,7 @@
  * Add User Routes
  * Handles POST /api/add for creating new users.
  * Validates user data before saving to database.
+ * Assigns the next free ID from a counter when id is omitted.
  */
 // Import Express framework for routing
 import express from 'express';
@@ -9,10 +10,43 @@ import express from 'express';
 import User from '../models/user.model.js';
 // Import logging utility for endpoint access tracking
 import { logEndpointAccess } from '../utils/logger.js';
+// Import shared field validators
+import { toPositiveInteger, parseBirthday } from '../utils/validation.js';
+// Import atomic sequence helpers for server-assigned IDs
+import { nextSequence, raiseSequence } from '../utils/counters.js';
 const router = express.Router();
+
+// Sequence used for server-assigned user IDs
+const USER_SEQUENCE = 'users';
+// MongoDB error code for unique index violations
+const DUPLICATE_KEY_ERROR = 11000;
+
+/*
+ * Issues the next free user ID from the counter.
+ * Skips IDs taken by users created before the counter existed.
+ */
+async function nextUserId() {
+    for (;;) {
+        // Atomically take the next value
+        const candidate = await nextSequence(USER_SEQUENCE);
+
+        // Use it if no user holds this ID yet
+        if (!(await User.exists({ id: candidate }))) {
+            return candidate;
+        }
+
+        // Counter lags behind existing IDs: jump past the highest one
+        const highest = await User.findOne({})
+            .sort({ id: -1 })
+            .select({ id: 1 })
+            .lean();
+        await raiseSequence(USER_SEQUENCE, highest.id);
+    }
+}
 /*
  * POST /add
- * Creates a new user with id, first_name, last_name, and birthday.
+ * Creates a new user with first_name, last_name, birthday and
+ * optional id. When id is omitted the server assigns the next free one.
  */
 // Handler for POST requests to /add endpoint
 router.post('/add', async (req, res) => {
@@ -24,10 +58,11 @@ router.post('/add', async (req, res) => {
 
         const firstNameTrimmed = first_name?.trim();
         const lastNameTrimmed = last_name?.trim();
+        // Server assigns the ID when the client leaves it out
+        const assignId = typeof id === 'undefined';
 
         // Validate required fields are present
         if (
-            typeof id === 'undefined' ||
             !firstNameTrimmed ||
             !lastNameTrimmed ||
             typeof birthday === 'undefined'
@@ -39,64 +74,75 @@ router.post('/add', async (req, res) => {
             });
         }
 
-        // Convert ID to number and validate
-        const numericId = Number(id);
+        // Convert explicit ID to number and validate
+        const numericId = assignId ? null : toPositiveInteger(id);
 
-        // Ensure ID is a positive integer
-        if (!Number.isInteger(numericId) || numericId <= 0) {
+        // Ensure explicit ID is a positive integer
+        if (!assignId && numericId === null) {
             return res.status(400).json({
                 id: 400,
                 message: 'User ID must be a positive integer.'
             });
         }
-        // Parse and validate birthday date
-        const birthdayDate = new Date(birthday);
-
-        // Check if date parsing succeeded
-        if (Number.isNaN(birthdayDate.getTime())) {
-            return res.status(400).json({
-                id: 400,
-                message: 'Invalid birthday format.'
-            });
-            // End of birthday format validation
-        }
         /*
-         * Prevent future birthday dates:
+         * Parse birthday and prevent future dates:
          * Compare against start of today (00:00:00 server local time).
          */
-        const startOfToday = new Date();
-        // Set time to midnight
-        startOfToday.setHours(0, 0, 0, 0);
+        const { date: birthdayDate, message } = parseBirthday(birthday);
 
-        // Reject if birthday is after today
-        if (birthdayDate > startOfToday) {
-            return res.status(400).json({
-                id: 400,
-                message: 'Birthday cannot be in the future.'
-            });
+        // Reject invalid or future birthday
+        if (message) {
+            return res.status(400).json({ id: 400, message });
         }
-        // Check if a user with the same ID already exists
-        const userExists = await User.exists({ id: numericId });
-
-        // Return conflict error if user already exists
-        if (userExists) {
-            return res.status(409).json({
-                id: 409,
-                message: `User ${numericId} already exists.`
-            });
+
+        // Explicit IDs must be free and are reserved in the counter
+        if (!assignId) {
+            // Check if a user with the same ID already exists
+            const userExists = await User.exists({ id: numericId });
+
+            // Return conflict error if user already exists
+            if (userExists) {
+                return res.status(409).json({
+                    id: 409,
+                    message: `User ${numericId} already exists.`
+                });
+            }
+            // Keep the counter from issuing this ID later
+            await raiseSequence(USER_SEQUENCE, numericId);
         }
-        // Create new user document
-        const user = new User({
-            id: numericId,
-            first_name: firstNameTrimmed,
-            last_name: lastNameTrimmed,
-            birthday: birthdayDate
-        });
-        // Save user to database
-        const savedUser = await user.save();
 
-        // Return created user with 201 status
-        return res.status(201).json(savedUser);
+        // Save the user, retrying assigned IDs that lose a race
+        for (;;) {
+            const userId = assignId ? await nextUserId() : numericId;
+
+            // Create new user document
+            const user = new User({
+                id: userId,
+                first_name: firstNameTrimmed,
+                last_name: lastNameTrimmed,
+                birthday: birthdayDate
+            });
+
+            try {
+                // Save user to database
+                const savedUser = await user.save();
+
+                // Return created user with 201 status
+                return res.status(201).json(savedUser);
+            } catch (err) {
+                // Rethrow anything other than an ID collision
+                if (err.code !== DUPLICATE_KEY_ERROR) {
+                    throw err;
+                }
+                // Explicit ID was taken concurrently
+                if (!assignId) {
+                    return res.status(409).json({
+                        id: 409,
+                        message: `User ${numericId} already exists.`
+                    });
+                }
+            }
+        }
     } catch (err) {
         // Handle any database or server errors
         return res.status(500).json({
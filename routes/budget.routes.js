@@ -0,0 +1,222 @@
+/*
+ * Budget Routes
+ * Handles POST/GET /api/budgets for monthly spending limits per
+ * user and category. A budget without year and month is the
+ * recurring default for every month without its own budget.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Budget model for database operations
+import Budget from '../models/budget.model.js';
+// Import User model for user validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared validators
+import { toPositiveInteger } from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import budget resolution for a month
+import { getMonthBudgets } from '../utils/budgets.js';
+// Import Decimal128 conversion for amounts
+import { toDecimal } from '../utils/money.js';
+// Create Express router
+const router = express.Router();
+
+/*
+ * Validates an optional year/month pair.
+ * Returns { year, month } (both null when omitted) or { message }.
+ */
+function parseBudgetMonth(year, month) {
+    // Neither given: the recurring default
+    if (typeof year === 'undefined' && typeof month === 'undefined') {
+        return { year: null, month: null };
+    }
+
+    const numericYear = toPositiveInteger(year);
+    const numericMonth = toPositiveInteger(month);
+
+    // Both values must be positive integers
+    if (numericYear === null || numericMonth === null) {
+        return { message: 'Year and month must be positive integers.' };
+    }
+    if (numericMonth > 12) {
+        return { message: 'Month number must be between 1 and 12.' };
+    }
+    return { year: numericYear, month: numericMonth };
+}
+
+/*
+ * POST /budgets
+ * Body: { userid, category, amount, year, month }
+ * Sets the spending limit of a category for one month, or the
+ * recurring default when year and month are omitted. Setting a
+ * budget again replaces its amount.
+ */
+// Handler for POST requests to /budgets endpoint
+router.post('/budgets', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/budgets');
+
+        const { userid, category, amount, year, month } = req.body || {};
+
+        // Check required fields are present
+        if (
+            typeof userid === 'undefined' ||
+            typeof category !== 'string' ||
+            !category.trim() ||
+            typeof amount === 'undefined'
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Missing required fields.'
+            });
+        }
+
+        // Validate user ID
+        const numericUserId = toPositiveInteger(userid);
+
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Validate amount
+        const numericAmount = Number(amount);
+
+        if (
+            amount === null ||
+            !Number.isFinite(numericAmount) ||
+            numericAmount < 0
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Amount must be a non-negative finite number.'
+            });
+        }
+
+        // Validate budget month
+        const period = parseBudgetMonth(year, month);
+
+        if (period.message) {
+            return res.status(400).json({
+                id: 400,
+                message: period.message
+            });
+        }
+
+        // Category must be in the list of accepted categories
+        const categories = await getCategories();
+        const categoryName = category.trim().toLowerCase();
+
+        if (!categories.includes(categoryName)) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    `Category '${categoryName}' is not in the list of ` +
+                    'accepted categories. The accepted categories are: ' +
+                    `${categories.join(', ')}.`
+            });
+        }
+
+        // Validate that id refers to an existing, active user
+        const userExists = await User.exists({
+            id: numericUserId,
+            deleted_at: null
+        });
+
+        if (!userExists) {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${numericUserId} does not exist.`
+            });
+        }
+
+        // Create or replace the budget
+        const budget = await Budget.findOneAndUpdate(
+            {
+                userid: numericUserId,
+                category: categoryName,
+                year: period.year,
+                month: period.month
+            },
+            { $set: { amount: toDecimal(numericAmount) } },
+            { upsert: true, returnDocument: 'after', runValidators: true }
+        );
+
+        // Return stored budget
+        return res.status(201).json(budget);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * GET /budgets
+ * Query params: userid (or id), year and month (optional).
+ * Without a month, returns every budget of the user; with one,
+ * returns the budget in effect for each category that month.
+ */
+// Handler for GET requests to /budgets endpoint
+router.get('/budgets', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/budgets');
+
+        const { id, userid, year, month } = req.query;
+        // Support both 'id' and 'userid' parameter names
+        const numericUserId = toPositiveInteger(userid ?? id);
+
+        // Validate user ID
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Validate optional month
+        const period = parseBudgetMonth(year, month);
+
+        if (period.message) {
+            return res.status(400).json({
+                id: 400,
+                message: period.message
+            });
+        }
+
+        // Every budget of the user, recurring defaults first
+        if (period.year === null) {
+            const budgets = await Budget.find({ userid: numericUserId })
+                .sort({ category: 1, year: 1, month: 1 });
+
+            return res.status(200).json(budgets);
+        }
+
+        // Budgets in effect for the month
+        const budgets = await getMonthBudgets(
+            numericUserId,
+            period.year,
+            period.month
+        );
+
+        return res.status(200).json(
+            [...budgets.values()]
+                .sort((a, b) => a.category.localeCompare(b.category))
+                .map(budget => Budget.hydrate(budget))
+        );
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
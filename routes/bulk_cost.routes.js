@@ -0,0 +1,328 @@
+/*
+ * Bulk Cost Routes
+ * Handles POST /api/add/bulk for creating many cost items at once.
+ * Each item is validated with the rules and spending limits of
+ * POST /api/add. Supports all-or-nothing (transaction) and
+ * best-effort insertion.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Cost model for database operations
+import Cost from '../models/cost.model.js';
+// Import User model for validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared cost field validation
+import { validateCostFields } from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import exchange-rate availability check
+import {
+    getBaseCurrency,
+    findUnconvertible,
+    missingRateMessage
+} from '../utils/currency.js';
+// Import admin authorization for limit overrides
+import { isAdminRequest } from '../utils/adminAuth.js';
+// Import spending limit enforcement
+import {
+    findLimits,
+    describeExceeded,
+    saveWithinLimits
+} from '../utils/limits.js';
+// Create Express router
+const router = express.Router();
+
+// Supported insertion modes
+const BULK_MODES = ['atomic', 'partial'];
+// Largest number of items accepted in one request
+const MAX_BULK_ITEMS = 1000;
+
+/*
+ * Validates every item and returns one entry per item:
+ * { index, value } when valid or { index, message } when not.
+ */
+async function validateItems(items) {
+    // Field validation per item against the current categories
+    const categories = await getCategories();
+    const checked = items.map((item, index) => ({
+        index,
+        ...validateCostFields(item, { categories })
+    }));
+
+    // Look up all referenced users and payers in a single query
+    const userIds = [
+        ...new Set(
+            checked.filter(entry => entry.value)
+                .flatMap(entry => [entry.value.userid, entry.value.paid_by])
+                .filter(id => typeof id !== 'undefined')
+        )
+    ];
+    const activeUsers = await User.find({
+        id: { $in: userIds },
+        deleted_at: null
+    }).select({ id: 1 }).lean();
+    const activeIds = new Set(activeUsers.map(user => user.id));
+
+    // Items in a currency without a rate in effect on their date
+    const unconvertible = new Set(await findUnconvertible(
+        checked.filter(entry => entry.value).map(entry => entry.value)
+    ));
+
+    // Reject items referencing non-existent or deleted users
+    // or costs that cannot be converted to the base currency
+    return checked.map(entry => {
+        const missingId = entry.value && [
+            entry.value.userid,
+            entry.value.paid_by
+        ].find(id => typeof id !== 'undefined' && !activeIds.has(id));
+
+        if (missingId) {
+            return {
+                index: entry.index,
+                message: `User ${missingId} does not exist.`
+            };
+        }
+        if (unconvertible.has(entry.value)) {
+            return {
+                index: entry.index,
+                message: missingRateMessage(entry.value, getBaseCurrency())
+            };
+        }
+        return entry;
+    });
+}
+
+/*
+ * Inserts the valid items independently of each other (best effort).
+ * Results are matched to items by document _id and by the write
+ * errors' indexes, never by position, since an unordered insert may
+ * save any subset of the items. Returns one result per item.
+ */
+async function insertBestEffort(entries) {
+    // Build documents up front so every item's _id is known
+    const docs = entries.map(entry => new Cost(entry.value));
+    const failedPositions = new Set();
+    let inserted;
+
+    try {
+        inserted = await Cost.insertMany(docs, { ordered: false });
+    } catch (err) {
+        // Anything but a partially failed bulk insert is a real failure
+        if (!Array.isArray(err.insertedDocs)) {
+            throw err;
+        }
+        inserted = err.insertedDocs;
+
+        for (const writeError of err.writeErrors ?? []) {
+            failedPositions.add(writeError.index);
+        }
+    }
+
+    const insertedIds = new Set(inserted.map(cost => String(cost._id)));
+
+    return docs.map((cost, position) => {
+        const { index } = entries[position];
+
+        // Saved, unless a write error or dropped document says otherwise
+        if (
+            !failedPositions.has(position) &&
+            insertedIds.has(String(cost._id))
+        ) {
+            return { index, status: 201, cost };
+        }
+        return { index, status: 500, message: 'Cost could not be saved.' };
+    });
+}
+
+/*
+ * Saves one item through the spending limit check.
+ * Returns the item's result.
+ */
+async function saveLimited(entry) {
+    const { index } = entry;
+    let saved;
+
+    try {
+        saved = await saveWithinLimits([new Cost(entry.value)]);
+    } catch (err) {
+        return { index, status: 500, message: 'Cost could not be saved.' };
+    }
+
+    // Period spending could not be converted for the check
+    if (saved.message) {
+        return { index, status: 400, message: saved.message };
+    }
+
+    // Item exceeds a spending limit
+    if (saved.exceeded) {
+        return {
+            index,
+            status: 403,
+            ...describeExceeded(saved.exceeded, { nameUser: true })
+        };
+    }
+    return { index, status: 201, cost: saved.costs[0] };
+}
+
+/*
+ * Saves the valid items independently of each other (best effort).
+ * Items of a user and category with spending limits are checked and
+ * saved one at a time, the others are inserted together.
+ * Returns one result per item.
+ */
+async function saveBestEffort(entries, { skipLimits }) {
+    const limits = skipLimits
+        ? []
+        : await findLimits(entries.map(entry => entry.value));
+    const limited = new Set(
+        limits.map(limit => `${limit.userid}:${limit.category}`)
+    );
+    const isLimited = ({ value }) =>
+        limited.has(`${value.userid}:${value.category}`);
+
+    // Unlimited items in one unordered insert
+    const unlimited = entries.filter(entry => !isLimited(entry));
+    const results = unlimited.length > 0
+        ? await insertBestEffort(unlimited)
+        : [];
+
+    // Limited items in request order, each seeing the ones before
+    for (const entry of entries.filter(isLimited)) {
+        results.push(await saveLimited(entry));
+    }
+    return results;
+}
+
+/*
+ * POST /add/bulk
+ * Body: { items: [cost, ...], mode: 'atomic' (default) | 'partial',
+ *         override_limits (admin only) }
+ * Returns a per-item result list in request order.
+ */
+// Handler for POST requests to /add/bulk endpoint
+router.post('/add/bulk', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/add/bulk');
+
+        const {
+            items,
+            mode = 'atomic',
+            override_limits: overrideLimits = false
+        } = req.body || {};
+
+        // Limit overrides are reserved for admins
+        if (overrideLimits === true && !isAdminRequest(req)) {
+            return res.status(403).json({
+                id: 403,
+                message: 'Admin authorization required.'
+            });
+        }
+
+        // Validate items array
+        if (
+            !Array.isArray(items) ||
+            items.length === 0 ||
+            items.length > MAX_BULK_ITEMS
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'Items must be a non-empty array of at most ' +
+                    `${MAX_BULK_ITEMS} costs.`
+            });
+        }
+
+        // Validate insertion mode
+        if (!BULK_MODES.includes(mode)) {
+            return res.status(400).json({
+                id: 400,
+                message: `Mode must be one of: ${BULK_MODES.join(', ')}.`
+            });
+        }
+
+        // Validate all items
+        const checked = await validateItems(items);
+        const valid = checked.filter(entry => entry.value);
+        const invalid = checked.filter(entry => entry.message);
+
+        // Per-item results for invalid items
+        const results = invalid.map(entry => ({
+            index: entry.index,
+            status: 400,
+            message: entry.message
+        }));
+
+        // All-or-nothing: any invalid item aborts the whole request
+        if (mode === 'atomic' && invalid.length > 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Some items are invalid. No costs were saved.',
+                results
+            });
+        }
+
+        // Best effort without a single valid item saves nothing
+        if (valid.length === 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'No valid items. No costs were saved.',
+                results
+            });
+        }
+
+        // Admin overrides skip the spending limits
+        const skipLimits = overrideLimits === true;
+
+        // Save the valid items
+        if (mode === 'atomic') {
+            const saved = await saveWithinLimits(
+                valid.map(entry => new Cost(entry.value)),
+                { skipLimits }
+            );
+
+            // Period spending could not be converted for the check
+            if (saved.message) {
+                return res.status(400).json({
+                    id: 400,
+                    message: saved.message
+                });
+            }
+
+            // Any item exceeding a limit rolls back the whole request
+            if (saved.exceeded) {
+                return res.status(403).json({
+                    id: 403,
+                    ...describeExceeded(saved.exceeded, { nameUser: true })
+                });
+            }
+
+            // The transaction saved every item in request order
+            saved.costs.forEach((cost, i) => {
+                results.push({ index: valid[i].index, status: 201, cost });
+            });
+        } else {
+            results.push(...await saveBestEffort(valid, { skipLimits }));
+        }
+        results.sort((a, b) => a.index - b.index);
+
+        // 201 when everything was saved, 207 when only some items were
+        const saved = results.filter(result => result.status === 201);
+        const status = saved.length < results.length ? 207 : 201;
+
+        return res.status(status).json({
+            saved: saved.length,
+            failed: results.length - saved.length,
+            results
+        });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
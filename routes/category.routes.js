@@ -0,0 +1,703 @@
+/*
+ * Category Routes
+ * Handles GET/POST/PATCH/DELETE /api/categories.
+ * Categories are read at runtime by cost validation, the Cost model
+ * and report generation, so changes need no redeploy. Renames and
+ * merges rewrite costs and cached reports to keep history consistent
+ * and move budgets and spending limits along with the costs.
+ */
+// Import Express framework for routing
+import express from 'express';
+// MongoDB library for transaction sessions
+import mongoose from 'mongoose';
+// Import models affected by category changes
+import Category from '../models/category.model.js';
+import Cost from '../models/cost.model.js';
+import Report from '../models/report.model.js';
+import YearlyReport from '../models/yearly_report.model.js';
+import RecurringCost from '../models/recurring.model.js';
+import Budget from '../models/budget.model.js';
+import SpendingLimit from '../models/limit.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import runtime category list
+import { listCategories } from '../utils/categories.js';
+// Import exact sums for combined amounts
+import { sumAmounts } from '../utils/money.js';
+// Create Express router
+const router = express.Router();
+
+// Longest category name accepted
+const MAX_NAME_LENGTH = 50;
+// Letters and digits, then also spaces, hyphens and underscores
+// (names become report keys, so '.' and '$' are not allowed)
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u;
+
+// Error returned for invalid category names
+const INVALID_NAME_MESSAGE =
+    `Category name must be 1-${MAX_NAME_LENGTH} letters, digits, ` +
+    'spaces, hyphens or underscores.';
+
+/*
+ * Normalizes a category name (trimmed, lowercase).
+ * Returns null when the name is not a valid category name.
+ */
+function parseCategoryName(name) {
+    // Reject non-string values
+    if (typeof name !== 'string') {
+        return null;
+    }
+    const normalized = name.trim().toLowerCase();
+
+    // Reject overly long names and unsupported characters
+    if (
+        normalized.length > MAX_NAME_LENGTH ||
+        !NAME_PATTERN.test(normalized)
+    ) {
+        return null;
+    }
+    return normalized;
+}
+
+/*
+ * Formats a category document for responses.
+ */
+function toCategoryJson(category) {
+    return {
+        name: category.name,
+        ...(category.description && { description: category.description })
+    };
+}
+
+/*
+ * Rewrites a cached report's costs array after a merge.
+ * Entries of the merged categories collapse into one target entry,
+ * placed where the first of them appeared, with items in day order.
+ */
+function mergeReportCosts(costs, sources, target) {
+    const mergedNames = new Set([...sources, target]);
+    const mergedItems = [];
+    const result = [];
+    let targetAdded = false;
+
+    for (const entry of costs) {
+        const [name] = Object.keys(entry);
+
+        // Keep entries of unaffected categories as they are
+        if (!mergedNames.has(name)) {
+            result.push(entry);
+            continue;
+        }
+        mergedItems.push(...entry[name]);
+
+        // Target entry takes the position of the first merged entry
+        if (!targetAdded) {
+            result.push({ [target]: mergedItems });
+            targetAdded = true;
+        }
+    }
+
+    // Sort merged items by day (stable for items of the same day)
+    mergedItems.sort((a, b) => a.day - b.day);
+    return result;
+}
+
+/*
+ * Moves the amount documents (budgets or spending limits) of the
+ * source categories to the target inside the session. Documents of
+ * the same user and slot (the key fields besides the category,
+ * e.g. year and month or period)
+ * collapse into one holding the summed amount, since their costs
+ * now count against a single category. The target's own document
+ * is kept when it exists.
+ */
+async function mergeAmounts(Model, keyFields, sources, target, session) {
+    const docs = await Model.find({
+        category: { $in: [...sources, target] }
+    }).session(session).lean();
+
+    // Nothing to move
+    if (!docs.some(doc => sources.includes(doc.category))) {
+        return;
+    }
+
+    // Group documents by user and slot
+    const groups = new Map();
+
+    for (const doc of docs) {
+        const key = JSON.stringify(keyFields.map(field => doc[field]));
+
+        groups.set(key, [...(groups.get(key) ?? []), doc]);
+    }
+
+    const deletes = [];
+    const updates = [];
+
+    for (const group of groups.values()) {
+        // Groups of the target alone stay as they are
+        if (group.every(doc => doc.category === target)) {
+            continue;
+        }
+        const kept = group.find(doc => doc.category === target) ?? group[0];
+
+        deletes.push(...group.filter(doc => doc !== kept).map(doc => doc._id));
+        updates.push({
+            updateOne: {
+                filter: { _id: kept._id },
+                update: {
+                    $set: {
+                        category: target,
+                        amount: sumAmounts(group.map(doc => doc.amount))
+                    }
+                }
+            }
+        });
+    }
+
+    // Remove collapsed documents first so the unique index holds
+    if (deletes.length > 0) {
+        await Model.deleteMany({ _id: { $in: deletes } }, { session });
+    }
+    await Model.bulkWrite(updates, { session });
+}
+
+/*
+ * Merges the source categories into the target category.
+ * A target that does not exist yet takes over the first source
+ * (a rename keeps the category's place in the report order).
+ * Moves costs, budgets and limits and rewrites cached reports inside
+ * a single MongoDB transaction (all-or-nothing). Returns the affected
+ * counts.
+ */
+async function mergeCategories(sources, target) {
+    // Start a session for the transaction
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        await session.withTransaction(async () => {
+            const targetExists =
+                await Category.exists({ name: target }).session(session);
+
+            // Replace the source categories by the target
+            if (targetExists) {
+                await Category.deleteMany(
+                    { name: { $in: sources } },
+                    { session }
+                );
+            } else {
+                await Category.updateOne(
+                    { name: sources[0] },
+                    { $set: { name: target } },
+                    { session }
+                );
+                await Category.deleteMany(
+                    { name: { $in: sources.slice(1) } },
+                    { session }
+                );
+            }
+
+            // Move costs to the target category
+            const costs = await Cost.updateMany(
+                { category: { $in: sources } },
+                { $set: { category: target } },
+                { session }
+            );
+
+            // Future recurring costs follow into the target category
+            await RecurringCost.updateMany(
+                { category: { $in: sources } },
+                { $set: { category: target } },
+                { session }
+            );
+
+            // Budgets follow, combined where both categories had one
+            await mergeAmounts(
+                Budget,
+                ['userid', 'year', 'month'],
+                sources,
+                target,
+                session
+            );
+            await mergeAmounts(
+                SpendingLimit,
+                ['userid', 'period'],
+                sources,
+                target,
+                session
+            );
+
+            // Rewrite cached reports holding any source category
+            const reports = await Report.find({
+                $or: sources.map(name => ({
+                    [`costs.${name}`]: { $exists: true }
+                }))
+            }).session(session).lean();
+
+            if (reports.length > 0) {
+                await Report.bulkWrite(
+                    reports.map(report => ({
+                        updateOne: {
+                            filter: { _id: report._id },
+                            update: {
+                                $set: {
+                                    costs: mergeReportCosts(
+                                        report.costs,
+                                        sources,
+                                        target
+                                    )
+                                }
+                            }
+                        }
+                    })),
+                    { session }
+                );
+            }
+
+            // Cached yearly totals are recomputed on the next request
+            await YearlyReport.deleteMany(
+                { 'categories.category': { $in: sources } },
+                { session }
+            );
+
+            // Keep counts of changed documents for the response
+            result = {
+                moved_costs: costs.modifiedCount,
+                rewritten_reports: reports.length
+            };
+        });
+    } finally {
+        // Always release the session
+        await session.endSession();
+    }
+    return result;
+}
+
+/*
+ * GET /categories
+ * Returns all categories in report order.
+ */
+// Handler for GET requests to /categories endpoint
+router.get('/categories', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/categories');
+
+        // Query categories (seeded with the defaults on first use)
+        const categories = await listCategories();
+
+        // Return categories array
+        return res.status(200).json(categories.map(toCategoryJson));
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * POST /categories
+ * Body: { name, description (optional) }
+ * New categories are appended at the end of the report order.
+ */
+// Handler for POST requests to /categories endpoint
+router.post('/categories', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/categories');
+
+        const { name, description } = req.body || {};
+
+        // Validate category name
+        const categoryName = parseCategoryName(name);
+
+        if (categoryName === null) {
+            return res.status(400).json({
+                id: 400,
+                message: INVALID_NAME_MESSAGE
+            });
+        }
+
+        // Validate optional description
+        if (
+            typeof description !== 'undefined' &&
+            typeof description !== 'string'
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Description must be a string.'
+            });
+        }
+
+        // Seed defaults first so they keep their place in the order
+        const categories = await listCategories();
+
+        // Reject duplicate category names
+        if (categories.some(category => category.name === categoryName)) {
+            return res.status(409).json({
+                id: 409,
+                message: `Category '${categoryName}' already exists.`
+            });
+        }
+
+        // Create and return the new category
+        const category = await Category.create({
+            name: categoryName,
+            description
+        });
+
+        return res.status(201).json(toCategoryJson(category));
+    } catch (err) {
+        // Category created concurrently by another request
+        if (err?.code === 11000) {
+            const categoryName = parseCategoryName(req.body.name);
+            return res.status(409).json({
+                id: 409,
+                message: `Category '${categoryName}' already exists.`
+            });
+        }
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * PATCH /categories/:name
+ * Body: { name (rename), description }
+ * Renaming moves all costs and rewrites cached reports.
+ */
+// Handler for PATCH requests to /categories/:name endpoint
+router.patch('/categories/:name', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: PATCH /api/categories/${req.params.name}`
+        );
+
+        const { name, description } = req.body || {};
+
+        // Validate category name
+        const categoryName = parseCategoryName(req.params.name);
+
+        if (categoryName === null) {
+            return res.status(400).json({
+                id: 400,
+                message: INVALID_NAME_MESSAGE
+            });
+        }
+
+        // Require at least one field to update
+        if (
+            typeof name === 'undefined' &&
+            typeof description === 'undefined'
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'No updatable fields provided.'
+            });
+        }
+
+        // Validate new name
+        const newName = typeof name === 'undefined'
+            ? categoryName
+            : parseCategoryName(name);
+
+        if (newName === null) {
+            return res.status(400).json({
+                id: 400,
+                message: INVALID_NAME_MESSAGE
+            });
+        }
+
+        // Validate description
+        if (
+            typeof description !== 'undefined' &&
+            typeof description !== 'string'
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Description must be a string.'
+            });
+        }
+
+        // Current categories (seeded with the defaults on first use)
+        const names = (await listCategories())
+            .map(category => category.name);
+
+        // Return 404 if category not found
+        if (!names.includes(categoryName)) {
+            return res.status(404).json({
+                id: 404,
+                message: `Category '${categoryName}' does not exist.`
+            });
+        }
+
+        // Renaming onto an existing category would be a merge
+        if (newName !== categoryName && names.includes(newName)) {
+            return res.status(409).json({
+                id: 409,
+                message:
+                    `Category '${newName}' already exists. Use ` +
+                    'POST /api/categories/merge to merge categories.'
+            });
+        }
+
+        // Rename category, costs and cached reports
+        if (newName !== categoryName) {
+            await mergeCategories([categoryName], newName);
+        }
+
+        // Apply description update (an empty description removes it)
+        if (typeof description !== 'undefined') {
+            await Category.updateOne(
+                { name: newName },
+                description.trim()
+                    ? { $set: { description: description.trim() } }
+                    : { $unset: { description: 1 } }
+            );
+        }
+
+        // Return updated category
+        const category = await Category.findOne({ name: newName }).lean();
+
+        return res.status(200).json(toCategoryJson(category));
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * POST /categories/merge
+ * Body: { sources: [name, ...], target }
+ * Merges the source categories into the target, which is created
+ * when it does not exist yet. Costs move to the target and cached
+ * reports are rewritten so their JSON format stays consistent.
+ */
+// Handler for POST requests to /categories/merge endpoint
+router.post('/categories/merge', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            'Endpoint accessed: POST /api/categories/merge'
+        );
+
+        const { sources, target } = req.body || {};
+
+        // Validate source list
+        if (!Array.isArray(sources) || sources.length === 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Sources must be a non-empty array of categories.'
+            });
+        }
+        const sourceNames = sources.map(parseCategoryName);
+        const targetName = parseCategoryName(target);
+
+        if (sourceNames.includes(null) || targetName === null) {
+            return res.status(400).json({
+                id: 400,
+                message: INVALID_NAME_MESSAGE
+            });
+        }
+
+        // Distinct sources other than the target itself
+        const mergedNames = [...new Set(sourceNames)]
+            .filter(name => name !== targetName);
+
+        if (mergedNames.length === 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Sources must differ from the target.'
+            });
+        }
+
+        // Current categories (seeded with the defaults on first use)
+        const names = (await listCategories())
+            .map(category => category.name);
+
+        // Every source must exist
+        const missing = mergedNames.find(name => !names.includes(name));
+
+        if (missing) {
+            return res.status(404).json({
+                id: 404,
+                message: `Category '${missing}' does not exist.`
+            });
+        }
+
+        // Merge categories, costs and cached reports
+        const counts = await mergeCategories(mergedNames, targetName);
+
+        // Return merge summary
+        return res.status(200).json({
+            target: targetName,
+            merged: mergedNames,
+            ...counts
+        });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * DELETE /categories/:name
+ * Query params: merge_into (target for costs, recurring costs,
+ * budgets and limits still using the category)
+ * Deleting a category in use without merge_into is rejected (409).
+ */
+// Handler for DELETE requests to /categories/:name endpoint
+router.delete('/categories/:name', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: DELETE /api/categories/${req.params.name}`
+        );
+
+        const { merge_into: mergeInto } = req.query;
+
+        // Validate category name
+        const categoryName = parseCategoryName(req.params.name);
+
+        if (categoryName === null) {
+            return res.status(400).json({
+                id: 400,
+                message: INVALID_NAME_MESSAGE
+            });
+        }
+
+        // Validate optional merge target name
+        const target = typeof mergeInto === 'undefined'
+            ? undefined
+            : parseCategoryName(mergeInto);
+
+        if (target === null) {
+            return res.status(400).json({
+                id: 400,
+                message: INVALID_NAME_MESSAGE
+            });
+        }
+        if (target === categoryName) {
+            return res.status(400).json({
+                id: 400,
+                message: 'A category cannot be merged into itself.'
+            });
+        }
+
+        // Current categories (seeded with the defaults on first use)
+        const names = (await listCategories())
+            .map(category => category.name);
+
+        // Return 404 if category not found
+        if (!names.includes(categoryName)) {
+            return res.status(404).json({
+                id: 404,
+                message: `Category '${categoryName}' does not exist.`
+            });
+        }
+
+        // Costs always need a category to belong to
+        if (names.length === 1) {
+            return res.status(409).json({
+                id: 409,
+                message: 'At least one category must remain.'
+            });
+        }
+
+        // Merge target must exist
+        if (target && !names.includes(target)) {
+            return res.status(400).json({
+                id: 400,
+                message: `Category '${target}' does not exist.`
+            });
+        }
+
+        // Count costs still using the category
+        const usedBy = await Cost.countDocuments({ category: categoryName });
+
+        // In-use categories need a merge target
+        if (usedBy > 0 && !target) {
+            return res.status(409).json({
+                id: 409,
+                message:
+                    `Category '${categoryName}' is used by ${usedBy} ` +
+                    'costs. Provide merge_into to move them to another ' +
+                    'category.'
+            });
+        }
+
+        // Recurring costs could no longer be booked into the category
+        const recurring =
+            await RecurringCost.countDocuments({ category: categoryName });
+
+        if (recurring > 0 && !target) {
+            return res.status(409).json({
+                id: 409,
+                message:
+                    `Category '${categoryName}' is used by ${recurring} ` +
+                    'recurring costs. Provide merge_into to move them to ' +
+                    'another category.'
+            });
+        }
+
+        // Budgets and limits would be lost without a merge target
+        const budgets = await Budget.countDocuments({ category: categoryName });
+        const limits =
+            await SpendingLimit.countDocuments({ category: categoryName });
+
+        if ((budgets > 0 || limits > 0) && !target) {
+            return res.status(409).json({
+                id: 409,
+                message:
+                    `Category '${categoryName}' has ${budgets} budgets ` +
+                    `and ${limits} spending limits. Provide merge_into ` +
+                    'to move them to another category or delete them ' +
+                    'first.'
+            });
+        }
+
+        // Merge into the target, moving costs and rewriting reports
+        if (target) {
+            const counts = await mergeCategories([categoryName], target);
+
+            return res.status(200).json({
+                name: categoryName,
+                merged_into: target,
+                moved_costs: counts.moved_costs
+            });
+        }
+
+        // Unused category: delete it and its empty report entries
+        await Category.deleteOne({ name: categoryName });
+        await Report.updateMany(
+            { [`costs.${categoryName}`]: { $exists: true } },
+            { $pull: { costs: { [categoryName]: { $exists: true } } } }
+        );
+        await YearlyReport.deleteMany({ 'categories.category': categoryName });
+
+        // Return deletion confirmation
+        return res.status(200).json({
+            name: categoryName,
+            merged_into: null,
+            moved_costs: 0
+        });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,215 @@
+/*
+ * Cost Routes
+ * Handles GET /api/costs for listing cost items as a ledger.
+ * Supports filtering, sorting and cursor pagination.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Cost model for database operations
+import Cost from '../models/cost.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared query parameter helpers
+import {
+    toPositiveInteger,
+    parseOptionalDate,
+    parseTags,
+    escapeRegExp
+} from '../utils/validation.js';
+// Import cursor pagination helpers
+import {
+    MAX_LIMIT,
+    parseLimit,
+    parseSort,
+    decodeCursor,
+    findPage,
+    setPageHeaders
+} from '../utils/pagination.js';
+// Import Decimal128 to number conversion for sums
+import { toAmount } from '../utils/money.js';
+// Create Express router
+const router = express.Router();
+
+// Fields GET /costs can be sorted by
+const COST_SORT_FIELDS = ['date', 'sum'];
+
+/*
+ * Parses an optional numeric query parameter.
+ * Returns undefined when omitted, null when not a finite number.
+ */
+function parseOptionalNumber(value) {
+    // Parameter not provided
+    if (typeof value === 'undefined') {
+        return undefined;
+    }
+    // Convert value to number
+    const numericValue = Number(value);
+    return value === '' || !Number.isFinite(numericValue)
+        ? null
+        : numericValue;
+}
+
+/*
+ * GET /costs
+ * Returns cost items one page at a time.
+ * Query params: userid, category, from, to (inclusive date range),
+ * min_sum, max_sum, description (case-insensitive substring),
+ * tag (comma-separated; costs must carry all of them),
+ * sort (date or sum; '-' for descending), limit, cursor.
+ * Paging metadata is returned in X-Total-Count and X-Next-Cursor headers.
+ */
+// Handler for GET requests to /costs endpoint
+router.get('/costs', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/costs');
+
+        const {
+            userid,
+            category,
+            from,
+            to,
+            min_sum: minSum,
+            max_sum: maxSum,
+            description,
+            tag,
+            sort,
+            limit,
+            cursor
+        } = req.query;
+
+        // Validate page size
+        const pageLimit = parseLimit(limit);
+
+        if (pageLimit === null) {
+            return res.status(400).json({
+                id: 400,
+                message: `Limit must be an integer between 1 and ${MAX_LIMIT}.`
+            });
+        }
+
+        // Validate sort field and direction
+        const pageSort = parseSort(sort, COST_SORT_FIELDS, 'date');
+
+        if (!pageSort) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'Sort must be one of: ' +
+                    `${COST_SORT_FIELDS.join(', ')}.`
+            });
+        }
+
+        // Validate cursor against the requested sort
+        const pageCursor = cursor ? decodeCursor(cursor, pageSort) : null;
+
+        if (cursor && !pageCursor) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid cursor.'
+            });
+        }
+
+        // Build query filter from the provided parameters
+        const filter = {};
+
+        // Filter by owner
+        if (typeof userid !== 'undefined') {
+            const numericUserId = toPositiveInteger(userid);
+
+            if (numericUserId === null) {
+                return res.status(400).json({
+                    id: 400,
+                    message: 'User ID must be a positive integer.'
+                });
+            }
+            filter.userid = numericUserId;
+        }
+
+        // Filter by category (case-insensitive, like cost creation)
+        if (typeof category === 'string' && category.trim()) {
+            filter.category = category.trim().toLowerCase();
+        }
+
+        // Filter by date range (inclusive)
+        const fromDate = parseOptionalDate(from);
+        const toDate = parseOptionalDate(to);
+
+        if (fromDate === null || toDate === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid date range format.'
+            });
+        }
+        if (fromDate || toDate) {
+            filter.date = {
+                ...(fromDate && { $gte: fromDate }),
+                ...(toDate && { $lte: toDate })
+            };
+        }
+
+        // Filter by sum range (inclusive)
+        const minSumValue = parseOptionalNumber(minSum);
+        const maxSumValue = parseOptionalNumber(maxSum);
+
+        if (minSumValue === null || maxSumValue === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Sum range must contain finite numbers.'
+            });
+        }
+        if (
+            typeof minSumValue !== 'undefined' ||
+            typeof maxSumValue !== 'undefined'
+        ) {
+            filter.sum = {
+                ...(typeof minSumValue !== 'undefined' &&
+                    { $gte: minSumValue }),
+                ...(typeof maxSumValue !== 'undefined' &&
+                    { $lte: maxSumValue })
+            };
+        }
+
+        // Case-insensitive substring match on description
+        if (typeof description === 'string' && description.trim()) {
+            filter.description = new RegExp(
+                escapeRegExp(description.trim()),
+                'i'
+            );
+        }
+
+        // Filter by tags (every listed tag must be present)
+        if (typeof tag !== 'undefined') {
+            const parsedTags = parseTags(String(tag).split(','));
+
+            if (parsedTags.message) {
+                return res.status(400).json({
+                    id: 400,
+                    message: parsedTags.message
+                });
+            }
+            filter.tags = { $all: parsedTags.tags };
+        }
+
+        // Query one page of costs (_id breaks ties and identifies costs)
+        const page = await findPage(Cost, filter, {
+            sort: pageSort,
+            limit: pageLimit,
+            cursor: pageCursor,
+            tiebreaker: '_id'
+        });
+
+        // Return costs array (sums as numbers) with paging headers
+        setPageHeaders(res, page);
+        return res.status(200).json(
+            page.items.map(cost => ({ ...cost, sum: toAmount(cost.sum) }))
+        );
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
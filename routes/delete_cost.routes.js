@@ -0,0 +1,82 @@
+/*
+ * Delete Cost Routes
+ * Handles DELETE /api/costs/:id for removing a cost item.
+ * Invalidates the cached report of the affected month.
+ */
+// Import Express framework for routing
+import express from 'express';
+// MongoDB library for identifier validation
+import mongoose from 'mongoose';
+// Import Cost model for database operations
+import Cost from '../models/cost.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import report cache invalidation
+import { invalidateReports } from '../utils/reportCache.js';
+// Create Express router
+const router = express.Router();
+/*
+ * DELETE /costs/:id
+ * Removes a cost item and returns the deleted document.
+ */
+// Handler for DELETE requests to /costs/:id endpoint
+router.delete('/costs/:id', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: DELETE /api/costs/${req.params.id}`
+        );
+
+        // Validate cost identifier format
+        if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Cost ID must be a valid identifier.'
+            });
+        }
+
+        // Remove the cost unless it is a portion of a split cost
+        const deletedCost = await Cost.findOneAndDelete({
+            _id: req.params.id,
+            split_group: { $exists: false }
+        });
+
+        // Tell split portions apart from missing costs
+        if (!deletedCost) {
+            const splitCost = await Cost.findById(req.params.id)
+                .select({ split_group: 1 })
+                .lean();
+
+            // Portions of a split cost are deleted only together
+            if (splitCost) {
+                return res.status(409).json({
+                    id: 409,
+                    message:
+                        `Cost ${req.params.id} is part of split group ` +
+                        `${splitCost.split_group}. Use /api/splits/` +
+                        `${splitCost.split_group} to delete it.`
+                });
+            }
+
+            // Return 404 if cost not found
+            return res.status(404).json({
+                id: 404,
+                message: `Cost ${req.params.id} does not exist.`
+            });
+        }
+
+        // Invalidate the cached report of the cost's month
+        await invalidateReports([deletedCost]);
+
+        // Return deleted cost with 200 status
+        return res.status(200).json(deletedCost);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,154 @@
+/*
+ * Delete User Routes
+ * Handles DELETE /api/users/:id in soft or hard mode.
+ * Soft mode hides the user and keeps their costs archived;
+ * hard mode purges the user with everything that belongs to them,
+ * so a new user given the same id starts from scratch.
+ */
+// Import Express framework for routing
+import express from 'express';
+// MongoDB library for transaction sessions
+import mongoose from 'mongoose';
+// Import models affected by user deletion
+import User from '../models/user.model.js';
+import Cost from '../models/cost.model.js';
+import Report from '../models/report.model.js';
+import YearlyReport from '../models/yearly_report.model.js';
+import RecurringCost from '../models/recurring.model.js';
+import Budget from '../models/budget.model.js';
+import SpendingLimit from '../models/limit.model.js';
+import Settlement from '../models/settlement.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared field validators
+import { toPositiveInteger } from '../utils/validation.js';
+const router = express.Router();
+
+// Supported deletion modes
+const DELETE_MODES = ['soft', 'hard'];
+
+/*
+ * Removes a user with all of their costs, cached reports, recurring
+ * definitions, budgets, limits and settlements.
+ * Runs inside a single MongoDB transaction (all-or-nothing).
+ */
+async function purgeUser(id) {
+    // Start a session for the transaction
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        // Delete user, costs and reports atomically
+        await session.withTransaction(async () => {
+            await User.deleteOne({ id }, { session });
+            const costs = await Cost.deleteMany({ userid: id }, { session });
+            const reports =
+                await Report.deleteMany({ userid: id }, { session });
+            await YearlyReport.deleteMany({ userid: id }, { session });
+
+            // Nothing may carry over to a new user with the same id
+            await RecurringCost.deleteMany({ userid: id }, { session });
+            await Budget.deleteMany({ userid: id }, { session });
+            await SpendingLimit.deleteMany({ userid: id }, { session });
+            await Settlement.deleteMany(
+                { $or: [{ from: id }, { to: id }] },
+                { session }
+            );
+
+            // Keep counts of removed documents for the response
+            result = {
+                deleted_costs: costs.deletedCount,
+                deleted_reports: reports.deletedCount
+            };
+        });
+    } finally {
+        // Always release the session
+        await session.endSession();
+    }
+    return result;
+}
+
+/*
+ * DELETE /users/:id
+ * Query params: mode ('soft' by default, or 'hard')
+ */
+// Handler for DELETE requests to /users/:id endpoint
+router.delete('/users/:id', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: DELETE /api/users/${req.params.id}`
+        );
+
+        // Validate and convert user ID to number
+        const id = toPositiveInteger(req.params.id);
+
+        // Ensure ID is a positive integer
+        if (id === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Default to soft deletion
+        const mode = req.query.mode ?? 'soft';
+
+        // Validate deletion mode
+        if (!DELETE_MODES.includes(mode)) {
+            return res.status(400).json({
+                id: 400,
+                message: `Mode must be one of: ${DELETE_MODES.join(', ')}.`
+            });
+        }
+
+        // Soft delete: mark active user as deleted
+        if (mode === 'soft') {
+            const deletedUser = await User.findOneAndUpdate(
+                { id, deleted_at: null },
+                { $set: { deleted_at: new Date() } },
+                { returnDocument: 'after' }
+            );
+
+            // Return 404 if no active user was found
+            if (!deletedUser) {
+                return res.status(404).json({
+                    id: 404,
+                    message: `User ${id} does not exist.`
+                });
+            }
+
+            // Return soft-delete confirmation
+            return res.status(200).json({
+                id,
+                mode,
+                deleted_at: deletedUser.deleted_at
+            });
+        }
+
+        // Hard delete also applies to previously soft-deleted users
+        const userExists = await User.exists({ id });
+
+        // Return 404 if user not found
+        if (!userExists) {
+            return res.status(404).json({
+                id: 404,
+                message: `User ${id} does not exist.`
+            });
+        }
+
+        // Purge user data in a single transaction
+        const counts = await purgeUser(id);
+
+        // Return hard-delete confirmation with removed counts
+        return res.status(200).json({ id, mode, ...counts });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,210 @@
+/*
+ * Edit Cost Routes
+ * Handles PATCH /api/costs/:id for partial cost updates.
+ * Applies the same field rules and spending limits as cost creation
+ * and invalidates cached reports of the affected months.
+ */
+// Import Express framework for routing
+import express from 'express';
+// MongoDB library for identifier validation
+import mongoose from 'mongoose';
+// Import Cost model for database operations
+import Cost from '../models/cost.model.js';
+// Import User model for validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared cost field validation
+import { validateCostFields } from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import report cache invalidation
+import { invalidateReports } from '../utils/reportCache.js';
+// Import admin authorization for limit overrides
+import { isAdminRequest } from '../utils/adminAuth.js';
+// Import spending limit enforcement
+import { saveWithinLimits, describeExceeded } from '../utils/limits.js';
+// Import exchange-rate availability check
+import {
+    getBaseCurrency,
+    findUnconvertible,
+    missingRateMessage
+} from '../utils/currency.js';
+// Create Express router
+const router = express.Router();
+
+// Fields whose change can raise spending under a limit
+const LIMITED_FIELDS = ['userid', 'category', 'sum', 'currency', 'date'];
+
+/*
+ * PATCH /costs/:id
+ * Updates description, category, userid, paid_by, sum, date
+ * and/or tags of a cost. Changes to the spending must stay within
+ * the user's limits unless an admin sends override_limits: true.
+ */
+// Handler for PATCH requests to /costs/:id endpoint
+router.patch('/costs/:id', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: PATCH /api/costs/${req.params.id}`
+        );
+
+        // Validate cost identifier format
+        if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Cost ID must be a valid identifier.'
+            });
+        }
+
+        // Limit overrides are reserved for admins
+        const overrideLimits = req.body?.override_limits === true;
+
+        if (overrideLimits && !isAdminRequest(req)) {
+            return res.status(403).json({
+                id: 403,
+                message: 'Admin authorization required.'
+            });
+        }
+
+        // Validate and normalize the provided fields
+        const { value, message } = validateCostFields(req.body, {
+            partial: true,
+            categories: await getCategories()
+        });
+
+        // Return first validation error
+        if (message) {
+            return res.status(400).json({ id: 400, message });
+        }
+
+        // Require at least one field to update
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'No updatable fields provided.'
+            });
+        }
+
+        // Find the cost to update
+        const cost = await Cost.findById(req.params.id);
+
+        // Return 404 if cost not found
+        if (!cost) {
+            return res.status(404).json({
+                id: 404,
+                message: `Cost ${req.params.id} does not exist.`
+            });
+        }
+
+        // Portions of a split cost change only together
+        if (cost.split_group) {
+            return res.status(409).json({
+                id: 409,
+                message:
+                    `Cost ${req.params.id} is part of split group ` +
+                    `${cost.split_group}. Use /api/splits/` +
+                    `${cost.split_group} to change it.`
+            });
+        }
+
+        // A changed currency or date needs a rate in effect on the date
+        if (
+            typeof value.currency !== 'undefined' ||
+            typeof value.date !== 'undefined'
+        ) {
+            const [unconvertible] = await findUnconvertible([{
+                currency: value.currency ?? cost.currency,
+                date: value.date ?? cost.date
+            }]);
+
+            if (unconvertible) {
+                return res.status(400).json({
+                    id: 400,
+                    message: missingRateMessage(
+                        unconvertible,
+                        getBaseCurrency()
+                    )
+                });
+            }
+        }
+
+        // Moving the cost to another user requires an active user
+        if (typeof value.userid !== 'undefined') {
+            const userExists = await User.exists({
+                id: value.userid,
+                deleted_at: null
+            });
+
+            if (!userExists) {
+                return res.status(400).json({
+                    id: 400,
+                    message: `User ${value.userid} does not exist.`
+                });
+            }
+        }
+
+        // A new payer must be an active user
+        if (typeof value.paid_by !== 'undefined') {
+            const payerExists = await User.exists({
+                id: value.paid_by,
+                deleted_at: null
+            });
+
+            if (!payerExists) {
+                return res.status(400).json({
+                    id: 400,
+                    message: `User ${value.paid_by} does not exist.`
+                });
+            }
+        }
+
+        // Remember the month the cost belonged to before the change
+        const previous = { userid: cost.userid, date: cost.date };
+
+        // Apply changes, validating only the modified paths; limits
+        // are checked only when the spending itself changes
+        cost.set(value);
+        const saved = await saveWithinLimits([cost], {
+            skipLimits:
+                overrideLimits ||
+                !LIMITED_FIELDS.some(field => cost.isModified(field)),
+            validateModifiedOnly: true
+        });
+
+        // Period spending could not be converted for the check
+        if (saved.message) {
+            return res.status(400).json({
+                id: 400,
+                message: saved.message
+            });
+        }
+
+        // Reject changes exceeding a spending limit
+        if (saved.exceeded) {
+            return res.status(403).json({
+                id: 403,
+                ...describeExceeded(saved.exceeded)
+            });
+        }
+        const [savedCost] = saved.costs;
+
+        // Invalidate cached reports of the old and new month
+        await invalidateReports([
+            previous,
+            { userid: savedCost.userid, date: savedCost.date }
+        ]);
+
+        // Return updated cost with 200 status
+        return res.status(200).json(savedCost);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
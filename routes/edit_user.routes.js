@@ -0,0 +1,130 @@
+/*
+ * Edit User Routes
+ * Handles PATCH /api/users/:id for partial user updates.
+ * Applies the same field rules as user creation.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import User model for database operations
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared field validators
+import { toPositiveInteger, parseBirthday } from '../utils/validation.js';
+const router = express.Router();
+/*
+ * PATCH /users/:id
+ * Updates first_name, last_name and/or birthday of an existing user.
+ * The application-level id is immutable.
+ */
+// Handler for PATCH requests to /users/:id endpoint
+router.patch('/users/:id', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: PATCH /api/users/${req.params.id}`
+        );
+
+        // Validate and convert user ID to number
+        const id = toPositiveInteger(req.params.id);
+
+        // Ensure ID is a positive integer
+        if (id === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Extract updatable fields from request body
+        const { first_name, last_name, birthday } = req.body || {};
+
+        // Reject any attempt to change the application-level id
+        if (
+            typeof req.body?.id !== 'undefined' &&
+            Number(req.body.id) !== id
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID cannot be changed.'
+            });
+        }
+
+        // Collect validated changes
+        const updates = {};
+
+        // Validate first name when provided
+        if (typeof first_name !== 'undefined') {
+            const firstNameTrimmed = first_name?.trim();
+
+            // Reject empty or whitespace-only names
+            if (!firstNameTrimmed) {
+                return res.status(400).json({
+                    id: 400,
+                    message: 'First name cannot be empty.'
+                });
+            }
+            updates.first_name = firstNameTrimmed;
+        }
+
+        // Validate last name when provided
+        if (typeof last_name !== 'undefined') {
+            const lastNameTrimmed = last_name?.trim();
+
+            // Reject empty or whitespace-only names
+            if (!lastNameTrimmed) {
+                return res.status(400).json({
+                    id: 400,
+                    message: 'Last name cannot be empty.'
+                });
+            }
+            updates.last_name = lastNameTrimmed;
+        }
+
+        // Validate birthday when provided
+        if (typeof birthday !== 'undefined') {
+            const { date, message } = parseBirthday(birthday);
+
+            // Reject invalid or future birthday
+            if (message) {
+                return res.status(400).json({ id: 400, message });
+            }
+            updates.birthday = date;
+        }
+
+        // Require at least one field to update
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'No updatable fields provided.'
+            });
+        }
+
+        // Apply changes and return the updated document
+        const updatedUser = await User.findOneAndUpdate(
+            // Soft-deleted users cannot be edited
+            { id, deleted_at: null },
+            { $set: updates },
+            { returnDocument: 'after', runValidators: true }
+        );
+
+        // Return 404 if user not found
+        if (!updatedUser) {
+            return res.status(404).json({
+                id: 404,
+                message: `User ${id} does not exist.`
+            });
+        }
+
+        // Return updated user with 200 status
+        return res.status(200).json(updatedUser);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,168 @@
+/*
+ * Spending Limit Routes
+ * Handles POST/GET /api/limits for hard spending caps per user,
+ * category and period. Adding, bulk-adding and editing costs and
+ * splits rejects costs exceeding them (recurring costs are exempt).
+ * Only an admin may set limits, so users cannot lift their own caps.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import SpendingLimit model for database operations
+import SpendingLimit, { LIMIT_PERIODS } from '../models/limit.model.js';
+// Import User model for user validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import admin authorization middleware
+import { requireAdmin } from '../utils/adminAuth.js';
+// Import shared validators
+import { toPositiveInteger } from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import Decimal128 conversion for amounts
+import { toDecimal } from '../utils/money.js';
+// Create Express router
+const router = express.Router();
+
+/*
+ * POST /limits
+ * Body: { userid, category, period, amount }
+ * Caps a user's spending in a category per day, week or month.
+ * Setting a limit again replaces its amount. Admin only.
+ */
+// Handler for POST requests to /limits endpoint
+router.post('/limits', requireAdmin, async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/limits');
+
+        const { userid, category, period, amount } = req.body || {};
+
+        // Check required fields are present
+        if (
+            typeof userid === 'undefined' ||
+            typeof category !== 'string' ||
+            !category.trim() ||
+            typeof period === 'undefined' ||
+            typeof amount === 'undefined'
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Missing required fields.'
+            });
+        }
+
+        // Validate user ID
+        const numericUserId = toPositiveInteger(userid);
+
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Validate period
+        if (!LIMIT_PERIODS.includes(period)) {
+            return res.status(400).json({
+                id: 400,
+                message: `Period must be one of: ${LIMIT_PERIODS.join(', ')}.`
+            });
+        }
+
+        // Validate amount
+        const numericAmount = Number(amount);
+
+        if (
+            amount === null ||
+            !Number.isFinite(numericAmount) ||
+            numericAmount < 0
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Amount must be a non-negative finite number.'
+            });
+        }
+
+        // Category must be in the list of accepted categories
+        const categories = await getCategories();
+        const categoryName = category.trim().toLowerCase();
+
+        if (!categories.includes(categoryName)) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    `Category '${categoryName}' is not in the list of ` +
+                    'accepted categories. The accepted categories are: ' +
+                    `${categories.join(', ')}.`
+            });
+        }
+
+        // Validate that id refers to an existing, active user
+        const userExists = await User.exists({
+            id: numericUserId,
+            deleted_at: null
+        });
+
+        if (!userExists) {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${numericUserId} does not exist.`
+            });
+        }
+
+        // Create or replace the limit
+        const limit = await SpendingLimit.findOneAndUpdate(
+            { userid: numericUserId, category: categoryName, period },
+            { $set: { amount: toDecimal(numericAmount) } },
+            { upsert: true, returnDocument: 'after', runValidators: true }
+        );
+
+        // Return stored limit
+        return res.status(201).json(limit);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * GET /limits
+ * Query params: userid (or id)
+ * Returns the user's limits ordered by category and period.
+ */
+// Handler for GET requests to /limits endpoint
+router.get('/limits', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/limits');
+
+        const { id, userid } = req.query;
+        // Support both 'id' and 'userid' parameter names
+        const numericUserId = toPositiveInteger(userid ?? id);
+
+        // Validate user ID
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Query the user's limits
+        const limits = await SpendingLimit.find({ userid: numericUserId })
+            .sort({ category: 1, period: 1 });
+
+        // Return limits array
+        return res.status(200).json(limits);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
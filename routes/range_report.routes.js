@@ -0,0 +1,214 @@
+/*
+ * Range Report Routes
+ * Handles GET /api/report/range for spending between any two dates,
+ * e.g. a trip from the 20th of one month to the 5th of the next.
+ * Costs are grouped by category like the monthly report, with the
+ * full date of each item and category and overall totals.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Cost model for querying cost data
+import Cost from '../models/cost.model.js';
+// Import User model for user validation
+import User from '../models/user.model.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import shared query parameter helpers
+import {
+    toPositiveInteger,
+    parseOptionalDate
+} from '../utils/validation.js';
+// Import currency conversion helpers
+import {
+    getBaseCurrency,
+    parseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from '../utils/currency.js';
+// Import Decimal128 to number conversion and exact sums
+import { toAmount, sumAmounts } from '../utils/money.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Create Express router
+const router = express.Router();
+
+// Calendar day without a time (YYYY-MM-DD)
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/*
+ * Parses a range boundary. A calendar day without a time covers
+ * the whole local day: its start for 'from', its end for 'to'.
+ * Returns undefined when omitted, null when invalid.
+ */
+function parseBoundary(value, { endOfDay = false } = {}) {
+    const day = typeof value === 'string' ? DAY_PATTERN.exec(value) : null;
+
+    // Timestamps and other formats are taken as they are
+    if (!day) {
+        return parseOptionalDate(value);
+    }
+
+    const [year, month, date] = day.slice(1).map(Number);
+    const start = new Date(year, month - 1, date);
+
+    // Reject days that do not exist, such as February 30th
+    if (start.getMonth() !== month - 1 || start.getDate() !== date) {
+        return null;
+    }
+    return endOfDay
+        ? new Date(new Date(year, month - 1, date + 1) - 1)
+        : start;
+}
+
+/*
+ * GET /report/range
+ * Generates a cost report for a specific user between two dates.
+ * Query params: id (or userid), from, to (inclusive),
+ * currency (optional, defaults to the base currency)
+ */
+// Handler for GET requests to /report/range endpoint
+router.get('/report/range', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/report/range');
+
+        const { id, userid, from, to, currency } = req.query;
+        // Support both 'id' and 'userid' parameter names
+        const userIdValue = userid ?? id;
+
+        // Check all required parameters are present
+        if (!userIdValue || !from || !to) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Missing required fields.'
+            });
+        }
+
+        // Validate user ID
+        const numericUserId = toPositiveInteger(userIdValue);
+
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Validate date range
+        const fromDate = parseBoundary(from);
+        const toDate = parseBoundary(to, { endOfDay: true });
+
+        if (!fromDate || !toDate) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid date range format.'
+            });
+        }
+        if (fromDate > toDate) {
+            return res.status(400).json({
+                id: 400,
+                message: 'From date must not be after to date.'
+            });
+        }
+
+        // Validate report currency
+        const reportCurrency = typeof currency === 'undefined'
+            ? getBaseCurrency()
+            : parseCurrency(currency);
+
+        if (reportCurrency === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Currency must be a 3-letter currency code.'
+            });
+        }
+
+        // Validate that id refers to an existing user
+        const userExists = await User.exists({ id: numericUserId });
+
+        if (!userExists) {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${numericUserId} does not exist.`
+            });
+        }
+
+        // Current categories, in report order
+        const categories = await getCategories();
+        // Initialize empty arrays for each category
+        const groupedCats =
+            Object.fromEntries(categories.map(cat => [cat, []]));
+        const amounts =
+            Object.fromEntries(categories.map(cat => [cat, []]));
+
+        // Retrieve the range's costs in date order, converted
+        const costs = await Cost.aggregate([
+            {
+                $match: {
+                    userid: numericUserId,
+                    date: { $gte: fromDate, $lte: toDate }
+                }
+            },
+            { $sort: { date: 1, _id: 1 } },
+            ...buildConversionStages(reportCurrency)
+        ]);
+
+        // Every foreign cost needs a rate in effect on its date
+        const unconverted = costs.find(cost => cost.amount === null);
+
+        if (unconverted) {
+            return res.status(400).json({
+                id: 400,
+                message: missingRateMessage(unconverted, reportCurrency)
+            });
+        }
+
+        // Group costs by category (unknown categories are left out)
+        for (const cost of costs) {
+            if (!groupedCats[cost.category]) {
+                continue;
+            }
+
+            groupedCats[cost.category].push({
+                // Cost amount in the report currency
+                sum: toAmount(cost.amount),
+                // Cost description text
+                description: cost.description,
+                // Full date, as the range may span months
+                date: cost.date,
+                // Original amount of converted costs
+                ...(cost.currency !== reportCurrency && {
+                    original_sum: toAmount(cost.sum),
+                    original_currency: cost.currency
+                })
+            });
+            amounts[cost.category].push(cost.amount);
+        }
+
+        // Category totals, in report order
+        const totals = categories.map(cat => ({
+            category: cat,
+            total: sumAmounts(amounts[cat])
+        }));
+
+        // Return report with category and overall totals
+        return res.status(200).json({
+            userid: numericUserId,
+            from: fromDate,
+            to: toDate,
+            costs: categories.map(cat => ({ [cat]: groupedCats[cat] })),
+            categories: totals.map(entry => ({
+                category: entry.category,
+                total: toAmount(entry.total)
+            })),
+            total: toAmount(sumAmounts(totals.map(entry => entry.total)))
+        });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,153 @@
+/*
+ * Rate Routes
+ * Handles POST/GET /api/rates for the local exchange-rate table.
+ * Rates are uploaded manually (there is no external feed) and are
+ * expressed against the base currency.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Rate model for database operations
+import Rate from '../models/rate.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared validators
+import { getStartOfToday } from '../utils/validation.js';
+// Import report cache invalidation helper
+import { invalidateReportsFrom } from '../utils/reportCache.js';
+// Import currency helpers
+import { getBaseCurrency, parseCurrency } from '../utils/currency.js';
+// Create Express router
+const router = express.Router();
+
+/*
+ * POST /rates
+ * Body: { currency, rate, date (optional, defaults to today) }
+ * Stores the value of one unit of the currency in the base currency,
+ * in effect from the given date. Re-uploading a date replaces it.
+ */
+// Handler for POST requests to /rates endpoint
+router.post('/rates', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/rates');
+
+        const { currency, rate, date } = req.body || {};
+
+        // Check required fields are present
+        if (typeof currency === 'undefined' || typeof rate === 'undefined') {
+            return res.status(400).json({
+                id: 400,
+                message: 'Missing required fields.'
+            });
+        }
+
+        // Validate currency code
+        const currencyCode = parseCurrency(currency);
+
+        if (currencyCode === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Currency must be a 3-letter currency code.'
+            });
+        }
+
+        // Rates are expressed in the base currency
+        const baseCurrency = getBaseCurrency();
+
+        if (currencyCode === baseCurrency) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    `The base currency ${baseCurrency} cannot have ` +
+                    'an exchange rate.'
+            });
+        }
+
+        // Validate rate value
+        const numericRate = Number(rate);
+
+        if (
+            rate === null ||
+            !Number.isFinite(numericRate) ||
+            numericRate <= 0
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Rate must be a positive finite number.'
+            });
+        }
+
+        // Validate effective date (defaults to the start of today)
+        const rateDate =
+            typeof date === 'undefined' ? getStartOfToday() : new Date(date);
+
+        if (Number.isNaN(rateDate.getTime())) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid date format.'
+            });
+        }
+
+        // Create or replace the rate for this currency and date
+        const savedRate = await Rate.findOneAndUpdate(
+            { currency: currencyCode, date: rateDate },
+            { $set: { rate: numericRate } },
+            { upsert: true, returnDocument: 'after', runValidators: true }
+        );
+
+        // Cached reports from the rate's month on may have used old rates
+        await invalidateReportsFrom(rateDate);
+
+        // Return stored rate
+        return res.status(201).json(savedRate);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * GET /rates
+ * Query params: currency (optional filter)
+ * Returns rates grouped by currency, newest first.
+ */
+// Handler for GET requests to /rates endpoint
+router.get('/rates', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/rates');
+
+        const { currency } = req.query;
+        const filter = {};
+
+        // Filter by currency
+        if (typeof currency !== 'undefined') {
+            const currencyCode = parseCurrency(currency);
+
+            if (currencyCode === null) {
+                return res.status(400).json({
+                    id: 400,
+                    message: 'Currency must be a 3-letter currency code.'
+                });
+            }
+            filter.currency = currencyCode;
+        }
+
+        // Query rates
+        const rates = await Rate.find(filter)
+            .select({ _id: 0 })
+            .sort({ currency: 1, date: -1 });
+
+        // Return rates array
+        return res.status(200).json(rates);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,262 @@
+/*
+ * Recurring Cost Routes
+ * Handles POST/GET/DELETE /api/recurring for recurring cost
+ * definitions such as monthly rent. The Costs service scheduler
+ * creates the actual cost items when they fall due.
+ */
+// Import Express framework for routing
+import express from 'express';
+// MongoDB library for identifier validation
+import mongoose from 'mongoose';
+// Import RecurringCost model for database operations
+import RecurringCost, {
+    RECURRING_FREQUENCIES
+} from '../models/recurring.model.js';
+// Import User model for validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared validators
+import {
+    getStartOfToday,
+    toPositiveInteger,
+    validateCostFields,
+    parseOptionalDate
+} from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import cost creation for definitions already due
+import { materializeRecurringCost } from '../utils/recurring.js';
+// Import exchange-rate availability check
+import {
+    getBaseCurrency,
+    findUnconvertible,
+    missingRateMessage
+} from '../utils/currency.js';
+// Create Express router
+const router = express.Router();
+
+// Highest schedule day per frequency
+const MAX_SCHEDULE_DAY = { weekly: 7, monthly: 31 };
+
+/*
+ * Validates a schedule: { frequency: 'monthly', day: 1-31 } or
+ * { frequency: 'weekly', day: 1-7 } (Monday-Sunday).
+ * Returns { schedule } or { message }.
+ */
+function parseSchedule(schedule) {
+    const { frequency, day } = schedule || {};
+
+    // Frequency and day must match one of the supported forms
+    if (
+        !RECURRING_FREQUENCIES.includes(frequency) ||
+        !Number.isInteger(day) ||
+        day < 1 ||
+        day > MAX_SCHEDULE_DAY[frequency]
+    ) {
+        return {
+            message:
+                'Schedule must have a frequency (weekly or monthly) and ' +
+                'a day (1-7 from Monday for weekly, 1-31 for monthly).'
+        };
+    }
+    return { schedule: { frequency, day } };
+}
+
+/*
+ * POST /recurring
+ * Body: { description, category, userid, sum, currency, tags,
+ *         schedule: { frequency, day }, start_date, end_date }
+ * Creates a recurring cost definition. start_date defaults to
+ * today; without end_date the definition never ends. Costs due
+ * today are created right away.
+ */
+// Handler for POST requests to /recurring endpoint
+router.post('/recurring', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/recurring');
+
+        const {
+            schedule,
+            start_date: startDate,
+            end_date: endDate,
+            ...fields
+        } = req.body || {};
+
+        // Validate the fields copied to every cost (ignoring any date)
+        const { value, message } = validateCostFields(
+            { ...fields, date: undefined },
+            { categories: await getCategories() }
+        );
+
+        if (message) {
+            return res.status(400).json({ id: 400, message });
+        }
+        // Definitions have a schedule instead of a date
+        delete value.date;
+
+        // Validate schedule
+        const parsed = parseSchedule(schedule);
+
+        if (parsed.message) {
+            return res.status(400).json({
+                id: 400,
+                message: parsed.message
+            });
+        }
+
+        // Validate start and end dates
+        const start = parseOptionalDate(startDate) ?? getStartOfToday();
+        const end = parseOptionalDate(endDate);
+
+        if (start === null || end === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid date format.'
+            });
+        }
+        if (start < getStartOfToday()) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Start date cannot be in the past.'
+            });
+        }
+        if (end && end < start) {
+            return res.status(400).json({
+                id: 400,
+                message: 'End date cannot be before the start date.'
+            });
+        }
+
+        // A foreign currency needs a rate in effect from the start
+        const [unconvertible] = await findUnconvertible([{
+            currency: value.currency,
+            date: start
+        }]);
+
+        if (unconvertible) {
+            return res.status(400).json({
+                id: 400,
+                message: missingRateMessage(unconvertible, getBaseCurrency())
+            });
+        }
+
+        // Validate that id refers to an existing, active user
+        const userExists = await User.exists({
+            id: value.userid,
+            deleted_at: null
+        });
+
+        if (!userExists) {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${value.userid} does not exist.`
+            });
+        }
+
+        // Store the definition
+        const definition = await RecurringCost.create({
+            ...value,
+            schedule: parsed.schedule,
+            start_date: start,
+            end_date: end ?? null
+        });
+
+        // Create a cost already due today without waiting for the scheduler
+        await materializeRecurringCost(definition.toObject());
+
+        // Return stored definition with 201 status
+        return res.status(201).json(
+            await RecurringCost.findById(definition._id)
+        );
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * GET /recurring
+ * Query params: userid (or id)
+ * Returns the user's recurring cost definitions by start date.
+ */
+// Handler for GET requests to /recurring endpoint
+router.get('/recurring', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/recurring');
+
+        const { id, userid } = req.query;
+        // Support both 'id' and 'userid' parameter names
+        const numericUserId = toPositiveInteger(userid ?? id);
+
+        // Validate user ID
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Query the user's definitions
+        const definitions = await RecurringCost.find({
+            userid: numericUserId
+        }).sort({ start_date: 1, _id: 1 });
+
+        // Return definitions array
+        return res.status(200).json(definitions);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * DELETE /recurring/:id
+ * Stops a recurring cost and returns the deleted definition.
+ * Costs it already created are kept.
+ */
+// Handler for DELETE requests to /recurring/:id endpoint
+router.delete('/recurring/:id', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: DELETE /api/recurring/${req.params.id}`
+        );
+
+        // Validate definition identifier format
+        if (!mongoose.isObjectIdOrHexString(req.params.id)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Recurring cost ID must be a valid identifier.'
+            });
+        }
+
+        // Remove the definition
+        const deleted = await RecurringCost.findByIdAndDelete(req.params.id);
+
+        // Return 404 if definition not found
+        if (!deleted) {
+            return res.status(404).json({
+                id: 404,
+                message: `Recurring cost ${req.params.id} does not exist.`
+            });
+        }
+
+        // Return deleted definition with 200 status
+        return res.status(200).json(deleted);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
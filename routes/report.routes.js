@@ -3,6 +3,7 @@
  * Implements the Computed Design Pattern: past month reports are cached,
  * current/future months are computed on-demand. Cached reports are
  * retrieved from database; new past-month reports are auto-cached.
+ * Month-over-month comparisons are built from the same reports.
  */
 // Import Express framework for routing
 import express from 'express';
@@ -12,10 +13,31 @@ import Cost from '../models/cost.model.js';
 import Report from '../models/report.model.js';
 // Import User model for user validation
 import User from '../models/user.model.js';
-// Import valid categories list
-import CATEGORIES from '../config/categories.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import currency conversion helpers
+import {
+    getBaseCurrency,
+    parseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from '../utils/currency.js';
+// Import Decimal128 to number conversion and exact arithmetic
+import {
+    toAmount,
+    sumAmounts,
+    subtractAmounts,
+    divideAmount,
+    percentOf
+} from '../utils/money.js';
+// Import budget helpers
+import { getMonthBudgets, budgetStatus } from '../utils/budgets.js';
 // Import logging utility for endpoint access tracking
 import { logEndpointAccess } from '../utils/logger.js';
+
+// Server time zone, so days match the month boundaries
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 /*
  * Determines if a given year/month is in the past.
  * Returns true if the month has already ended.
@@ -32,143 +54,478 @@ function isPastMonth(year, month) {
     return targetMonthStart < currentMonthStart;
 }
 
+/*
+ * Builds the aggregation pipeline for a monthly report. Matches the
+ * user's costs of the month (served by the { userid, date } index),
+ * converts them to the report currency and groups them by category.
+ * Items keep date order (then creation order, by _id) because the
+ * $sort precedes the $group.
+ */
+function buildReportPipeline(userid, year, month, categories, currency) {
+    return [
+        // Costs of the user in the month, in known categories
+        {
+            $match: {
+                userid,
+                date: {
+                    $gte: new Date(year, month - 1, 1),
+                    $lt: new Date(year, month, 1)
+                },
+                category: { $in: categories }
+            }
+        },
+        // Stable item order within each category
+        { $sort: { date: 1, _id: 1 } },
+        // Convert every cost to the report currency
+        ...buildConversionStages(currency),
+        // One entry per category with its items
+        {
+            $group: {
+                _id: '$category',
+                items: {
+                    $push: {
+                        sum: '$amount',
+                        description: '$description',
+                        day: {
+                            $dayOfMonth: {
+                                date: '$date',
+                                timezone: TIME_ZONE
+                            }
+                        },
+                        currency: '$currency',
+                        original_sum: '$sum'
+                    }
+                },
+                // A cost without a rate ($max skips the nulls)
+                unconverted: {
+                    $max: {
+                        $cond: [
+                            { $eq: ['$amount', null] },
+                            { currency: '$currency', date: '$date' },
+                            null
+                        ]
+                    }
+                }
+            }
+        }
+    ];
+}
+
+/*
+ * Adds the month's budgets to a report: budget, spent and remaining
+ * amount of each budgeted category, in report order. Reports of
+ * users without budgets for the month are returned unchanged.
+ */
+async function withBudgets(report) {
+    const budgets =
+        await getMonthBudgets(report.userid, report.year, report.month);
+
+    // No budgets: keep the plain report format
+    if (budgets.size === 0) {
+        return report;
+    }
+
+    return {
+        ...report,
+        budgets: report.costs
+            .flatMap(entry => Object.entries(entry))
+            .filter(([category]) => budgets.has(category))
+            .map(([category, items]) => ({
+                category,
+                ...budgetStatus(
+                    budgets.get(category).amount,
+                    sumAmounts(items.map(item => item.sum))
+                )
+            }))
+    };
+}
+
+/*
+ * Adds per-category statistics to a report: total, count, average
+ * and largest item of each category, its share of the month in
+ * percent, and the grand total and count of the month.
+ */
+function withSummary(report) {
+    const stats = report.costs
+        .flatMap(entry => Object.entries(entry))
+        .map(([category, items]) => ({
+            category,
+            items,
+            total: sumAmounts(items.map(item => item.sum))
+        }));
+    const grandTotal = sumAmounts(stats.map(entry => entry.total));
+    const hasSpending = toAmount(grandTotal) !== 0;
+
+    return {
+        ...report,
+        summary: {
+            categories: stats.map(({ category, items, total }) => ({
+                category,
+                total: toAmount(total),
+                count: items.length,
+                // Empty categories have no average or maximum
+                average: items.length > 0
+                    ? toAmount(divideAmount(total, items.length))
+                    : 0,
+                // Sums are non-negative, so an empty category gives 0
+                max: items.reduce(
+                    (max, item) => Math.max(max, item.sum),
+                    0
+                ),
+                share: hasSpending
+                    ? toAmount(percentOf(total, grandTotal))
+                    : 0
+            })),
+            total: toAmount(grandTotal),
+            count: stats.reduce((sum, entry) => sum + entry.items.length, 0)
+        }
+    };
+}
+
+/*
+ * Validates the user, year, month and currency query parameters of
+ * the monthly report endpoints. Returns { userid, year, month,
+ * currency } or { message } describing the error.
+ */
+function parseReportParams({ id, userid, year, month, currency }) {
+    // Support both 'id' and 'userid' parameter names
+    const userIdValue = userid ?? id;
+
+    // Check all required parameters are present
+    if (!userIdValue || !year || !month) {
+        return { message: 'Missing required fields.' };
+    }
+    // Convert parameters to numbers
+    const numericUserId = Number(userIdValue);
+    const numericYear = Number(year);
+    const numericMonth = Number(month);
+
+    // Validate that all parameters are valid numbers
+    if (
+        !Number.isInteger(numericUserId) || numericUserId <= 0 ||
+        !Number.isInteger(numericYear) || numericYear <= 0 ||
+        !Number.isInteger(numericMonth) || numericMonth <= 0
+    ) {
+        return {
+            message: 'User ID, year and month must be positive integers.'
+        };
+    }
+
+    // Validate that month number is valid
+    if (numericMonth > 12) {
+        return { message: 'Month number must be between 1 and 12.' };
+    }
+    // Validate report currency
+    const reportCurrency = typeof currency === 'undefined'
+        ? getBaseCurrency()
+        : parseCurrency(currency);
+
+    if (reportCurrency === null) {
+        return { message: 'Currency must be a 3-letter currency code.' };
+    }
+    return {
+        userid: numericUserId,
+        year: numericYear,
+        month: numericMonth,
+        currency: reportCurrency
+    };
+}
+
+/*
+ * Loads a user's monthly report in the given currency.
+ * COMPUTED PATTERN: base currency reports of past months come from
+ * the cache, or are generated and cached on the first request;
+ * current/future months and other currencies are computed on-demand.
+ * Returns { report } or { message } when a cost has no exchange rate.
+ */
+async function loadMonthlyReport(userid, year, month, currency) {
+    // Only base currency reports of past months are cached
+    const useCache =
+        isPastMonth(year, month) && currency === getBaseCurrency();
+
+    // Return cached report if found
+    if (useCache) {
+        const cachedReport = await Report.findOne({ userid, year, month });
+
+        if (cachedReport) {
+            return { report: cachedReport.toJSON() };
+        }
+    }
+
+    // Current categories, in report order
+    const categories = await getCategories();
+    // Initialize empty arrays for each category
+    const groupedCats =
+        Object.fromEntries(categories.map(cat => [cat, []]));
+
+    // Group the month's costs by category on the database side
+    const groups = await Cost.aggregate(
+        buildReportPipeline(userid, year, month, categories, currency)
+    );
+
+    // Every foreign cost needs a rate in effect on its date
+    const unconverted = groups.find(group => group.unconverted);
+
+    if (unconverted) {
+        return {
+            message: missingRateMessage(unconverted.unconverted, currency)
+        };
+    }
+
+    // Fill in the grouped items, in date order
+    for (const { _id: category, items } of groups) {
+        groupedCats[category] = items.map(item => ({
+            // Cost amount in the report currency
+            sum: toAmount(item.sum),
+            // Cost description text
+            description: item.description,
+            // Day of month of the cost's date
+            day: item.day,
+            // Original amount of converted costs
+            ...(item.currency !== currency && {
+                original_sum: toAmount(item.original_sum),
+                original_currency: item.currency
+            })
+        }));
+    }
+
+    // Build report object matching required JSON format
+    const report = {
+        // User identifier
+        userid,
+        // Report year
+        year,
+        // Report month
+        month,
+        // Costs grouped by category
+        costs: categories.map(cat => ({ [cat]: groupedCats[cat] }))
+    };
+
+    // Save past month reports so later requests use the cache
+    if (useCache) {
+        await Report.create(report);
+    }
+    return { report };
+}
+
+/*
+ * Returns each category's total in a report, keyed by category.
+ */
+function categoryTotals(report) {
+    return new Map(
+        report.costs
+            .flatMap(entry => Object.entries(entry))
+            .map(([category, items]) => [
+                category,
+                sumAmounts(items.map(item => item.sum))
+            ])
+    );
+}
+
+/*
+ * Compares an amount with an earlier one: the absolute change and
+ * the change in percent (null when the earlier amount is 0).
+ */
+function compareAmounts(current, earlier) {
+    const change = subtractAmounts(current, earlier);
+
+    return {
+        change: toAmount(change),
+        percent: toAmount(earlier) === 0
+            ? null
+            : toAmount(percentOf(change, earlier))
+    };
+}
+
 // Create Express router
 const router = express.Router();
 /*
  * GET /report
  * Generates a monthly cost report for a specific user.
- * Query params: id (or userid), year, month
+ * Query params: id (or userid), year, month,
+ * currency (optional, defaults to the base currency),
+ * summary (optional, 'true' adds per-category statistics)
  */
 // Handler for GET requests to /report endpoint
 router.get('/report', async (req, res) => {
     try {
         logEndpointAccess(req, 'Endpoint accessed: GET /api/report');
 
-        // Extract and validate query parameters
-        const { id, userid, year, month } = req.query;
-        // Support both 'id' and 'userid' parameter names
-        const userIdValue = userid ?? id;
+        // Validate query parameters
+        const params = parseReportParams(req.query);
 
-        // Check all required parameters are present
-        if (!userIdValue || !year || !month) {
+        if (params.message) {
             return res.status(400).json({
                 id: 400,
-                message: 'Missing required fields.'
+                message: params.message
             });
         }
-        // Convert parameters to numbers
-        const numericUserId = Number(userIdValue);
-        const numericYear = Number(year);
-        const numericMonth = Number(month);
+        // Validate summary flag (the default format has no summary)
+        const { summary } = req.query;
 
-        // Validate that all parameters are valid numbers
         if (
-            !Number.isInteger(numericUserId) || numericUserId <= 0 ||
-            !Number.isInteger(numericYear) || numericYear <= 0 ||
-            !Number.isInteger(numericMonth) || numericMonth <= 0
+            typeof summary !== 'undefined' &&
+            summary !== 'true' &&
+            summary !== 'false'
         ) {
-            // Return error for invalid numeric values
             return res.status(400).json({
                 id: 400,
-                // Error message for invalid parameter types
-                message:
-                    'User ID, year and month must be ' +
-                    'positive integers.'
+                message: 'Summary must be true or false.'
             });
         }
+        const addSummary = summary === 'true'
+            ? withSummary
+            : report => report;
+        // Validate that id refers to an existing user
+        const userExists = await User.exists({ id: params.userid });
 
-        // Validate that month number is valid
-        if (numericMonth > 12) {
+        // Return error if user doesn't exist
+        if (!userExists) {
             return res.status(400).json({
                 id: 400,
-                message: 'Month number must be between 1 and 12.'
+                message: `User ${params.userid} does not exist.`
+            });
+        }
+
+        // Cached or generated report of the month
+        const { report, message } = await loadMonthlyReport(
+            params.userid,
+            params.year,
+            params.month,
+            params.currency
+        );
+
+        if (message) {
+            return res.status(400).json({ id: 400, message });
+        }
+
+        // Return report (budgets are in the base currency)
+        return res.status(200).json(
+            addSummary(
+                params.currency === getBaseCurrency()
+                    ? await withBudgets(report)
+                    : report
+            )
+        );
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * GET /report/compare
+ * Compares a month with the previous month and with the same month
+ * last year: category and overall totals with absolute and percent
+ * changes. Past months come from the monthly report cache.
+ * Query params: id (or userid), year, month,
+ * currency (optional, defaults to the base currency)
+ */
+// Handler for GET requests to /report/compare endpoint
+router.get('/report/compare', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/report/compare');
+
+        // Validate query parameters
+        const params = parseReportParams(req.query);
+
+        if (params.message) {
+            return res.status(400).json({
+                id: 400,
+                message: params.message
+            });
+        }
+        // The same month last year must be a valid year too
+        if (params.year < 2) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Year must be at least 2 to compare with last year.'
             });
         }
         // Validate that id refers to an existing user
-        const userExists = await User.exists({ id: numericUserId });
+        const userExists = await User.exists({ id: params.userid });
 
-        // Return error if user doesn't exist
         if (!userExists) {
             return res.status(400).json({
                 id: 400,
-                message: `User ${numericUserId} does not exist.`
+                message: `User ${params.userid} does not exist.`
             });
         }
-        // Determine if this month is in the past
-        const isPastMonthBool = isPastMonth(numericYear, numericMonth);
-        /*
-         * COMPUTED PATTERN: Check cache for past months
-         * If report exists in database, return it immediately
-         */
-        if (isPastMonthBool) {
-            // Query for cached report
-            const cachedReport = await Report.findOne({
-                userid: numericUserId,
-                year: numericYear,
-                month: numericMonth
-            });
 
-            // Return cached report if found
-            if (cachedReport) {
-                return res.status(200).json(cachedReport);
-            }
-            // End of cache lookup block
+        // The month, the month before it and the month a year earlier
+        const periods = {
+            current: { year: params.year, month: params.month },
+            previous: params.month === 1
+                ? { year: params.year - 1, month: 12 }
+                : { year: params.year, month: params.month - 1 },
+            last_year: { year: params.year - 1, month: params.month }
+        };
+        const loaded = await Promise.all(
+            Object.values(periods).map(period => loadMonthlyReport(
+                params.userid,
+                period.year,
+                period.month,
+                params.currency
+            ))
+        );
+
+        // Every foreign cost needs a rate in effect on its date
+        const failed = loaded.find(result => result.message);
+
+        if (failed) {
+            return res.status(400).json({
+                id: 400,
+                message: failed.message
+            });
         }
+
+        // Category totals of each month
+        const [current, previous, lastYear] =
+            loaded.map(result => categoryTotals(result.report));
+        // Categories of all three months, current ones first
+        const categories = [
+            ...new Set([
+                ...current.keys(),
+                ...previous.keys(),
+                ...lastYear.keys()
+            ])
+        ];
+
         /*
-         * Report not in cache (or not a past month)
-         * Generate report by querying all costs for this user
+         * Totals of the three months with the changes against the
+         * previous month and the same month last year.
          */
-        // Initialize empty arrays for each category
-        const groupedCats =
-            Object.fromEntries(CATEGORIES.map(cat => [cat, []]));
-
-        // Retrieve all costs for this user
-        const costs = await Cost.find({ userid: numericUserId });
-
-        // Filter costs by year/month and group by category
-        for (const cost of costs) {
-            const date = new Date(cost.date);
-
-            // Check if cost is in target month
-            if (
-                date.getFullYear() === numericYear &&
-                (date.getMonth() + 1) === numericMonth
-            ) {
-                // Add cost to appropriate category
-                groupedCats[cost.category]?.push({
-                    // Cost amount
-                    sum: cost.sum,
-                    // Cost description text
-                    description: cost.description,
-                    // Day of month extracted from date
-                    day: date.getDate()
-                });
-            }
-        }
+        const compare = (amounts) => {
+            const [now, before, yearBefore] = amounts;
 
-        // Build report object matching required JSON format
-        const report = {
-            // User identifier
-            userid: numericUserId,
-            // Report year
-            year: numericYear,
-            // Report month
-            month: numericMonth,
-            // Costs grouped by category
-            costs: CATEGORIES.map(cat => ({ [cat]: groupedCats[cat] }))
+            return {
+                current: toAmount(now),
+                previous: toAmount(before),
+                last_year: toAmount(yearBefore),
+                vs_previous: compareAmounts(now, before),
+                vs_last_year: compareAmounts(now, yearBefore)
+            };
         };
-        /*
-         * COMPUTED PATTERN: Cache report for past months
-         * Future requests for this month will retrieve from cache
-         */
-        // Only cache reports for past months
-        if (isPastMonthBool) {
-            // Save report to database for caching
-            await Report.create(report);
-        }
 
-        // Return generated report
-        return res.status(200).json(report);
+        // Return per-category and overall comparison
+        return res.status(200).json({
+            userid: params.userid,
+            year: params.year,
+            month: params.month,
+            periods,
+            categories: categories.map(cat => ({
+                category: cat,
+                ...compare([current, previous, lastYear].map(
+                    totals => totals.get(cat) ?? 0
+                ))
+            })),
+            total: compare([current, previous, lastYear].map(
+                totals => sumAmounts([...totals.values()])
+            ))
+        });
     } catch (err) {
         // Handle any database or server errors
         return res.status(500).json({
@@ -0,0 +1,368 @@
+/*
+ * Settlement Routes
+ * Handles GET /api/balances and POST /api/settlements.
+ * A cost whose paid_by differs from its userid means its user owes
+ * the payer; settlements record payments that pay such debts back.
+ * Balances are computed in the base currency.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import models holding debts and payments
+import Cost from '../models/cost.model.js';
+import Settlement from '../models/settlement.model.js';
+// Import User model for user validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared validators
+import { toPositiveInteger } from '../utils/validation.js';
+// Import exact amount arithmetic
+import {
+    toDecimal,
+    toAmount,
+    sumAmounts,
+    subtractAmounts
+} from '../utils/money.js';
+// Import currency conversion helpers
+import {
+    getBaseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from '../utils/currency.js';
+// Create Express router
+const router = express.Router();
+
+// Largest number of users in one balance query
+const MAX_BALANCE_USERS = 50;
+
+/*
+ * Parses a comma-separated list of distinct user IDs.
+ * Returns the IDs, or null when the list is invalid.
+ */
+function parseUserIds(users) {
+    // Parameter must be a single comma-separated string
+    if (typeof users !== 'string') {
+        return null;
+    }
+
+    const ids = [...new Set(users.split(',').map(toPositiveInteger))];
+
+    // Every entry must be a user ID, for 2 or more users
+    if (
+        ids.includes(null) ||
+        ids.length < 2 ||
+        ids.length > MAX_BALANCE_USERS
+    ) {
+        return null;
+    }
+    return ids;
+}
+
+/*
+ * Suggests transfers settling the balances: the largest debtor pays
+ * the largest creditor until every balance is zero. Needs at most
+ * one transfer less than there are users with a balance.
+ */
+function suggestTransfers(balances) {
+    // Amounts still to pay (debtors) and to receive (creditors)
+    const byAmount = (a, b) => toAmount(b.left) - toAmount(a.left);
+    const debtors = balances
+        .filter(entry => toAmount(entry.balance) < 0)
+        .map(entry => ({
+            userid: entry.userid,
+            left: subtractAmounts(0, entry.balance)
+        }))
+        .sort(byAmount);
+    const creditors = balances
+        .filter(entry => toAmount(entry.balance) > 0)
+        .map(entry => ({ userid: entry.userid, left: entry.balance }))
+        .sort(byAmount);
+    const transfers = [];
+
+    while (debtors.length > 0 && creditors.length > 0) {
+        const [debtor] = debtors;
+        const [creditor] = creditors;
+        // Pay as much as both sides allow
+        const amount = toAmount(debtor.left) <= toAmount(creditor.left)
+            ? debtor.left
+            : creditor.left;
+
+        transfers.push({
+            from: debtor.userid,
+            to: creditor.userid,
+            amount: toAmount(amount)
+        });
+        debtor.left = subtractAmounts(debtor.left, amount);
+        creditor.left = subtractAmounts(creditor.left, amount);
+
+        // Drop users who are settled
+        if (toAmount(debtor.left) === 0) {
+            debtors.shift();
+        }
+        if (toAmount(creditor.left) === 0) {
+            creditors.shift();
+        }
+    }
+    return transfers;
+}
+
+/*
+ * GET /balances
+ * Query params: users (comma-separated user IDs)
+ * Returns, among the given users, each user's balance (positive
+ * when others owe them), the net debt between each pair and the
+ * suggested transfers to settle everything.
+ */
+// Handler for GET requests to /balances endpoint
+router.get('/balances', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/balances');
+
+        // Validate user list
+        const userIds = parseUserIds(req.query.users);
+
+        if (userIds === null) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'Users must be a comma-separated list of ' +
+                    `2-${MAX_BALANCE_USERS} user IDs.`
+            });
+        }
+
+        // Validate that every id refers to an existing user
+        const existing = await User.find({ id: { $in: userIds } })
+            .select({ id: 1 })
+            .lean();
+        const existingIds = new Set(existing.map(user => user.id));
+        const missingId = userIds.find(id => !existingIds.has(id));
+
+        if (typeof missingId !== 'undefined') {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${missingId} does not exist.`
+            });
+        }
+
+        // Costs paid by one of the users for another, per pair
+        const baseCurrency = getBaseCurrency();
+        const costDebts = await Cost.aggregate([
+            {
+                $match: {
+                    userid: { $in: userIds },
+                    paid_by: { $in: userIds },
+                    $expr: { $ne: ['$userid', '$paid_by'] }
+                }
+            },
+            ...buildConversionStages(baseCurrency),
+            {
+                $group: {
+                    _id: { debtor: '$userid', creditor: '$paid_by' },
+                    amount: { $sum: '$amount' },
+                    // A cost without a rate ($max skips the nulls)
+                    unconverted: {
+                        $max: {
+                            $cond: [
+                                { $eq: ['$amount', null] },
+                                { currency: '$currency', date: '$date' },
+                                null
+                            ]
+                        }
+                    }
+                }
+            }
+        ]);
+
+        // Every foreign cost needs a rate in effect on its date
+        const unconverted = costDebts.find(debt => debt.unconverted);
+
+        if (unconverted) {
+            return res.status(400).json({
+                id: 400,
+                message: missingRateMessage(
+                    unconverted.unconverted,
+                    baseCurrency
+                )
+            });
+        }
+
+        // Payments between the users, per pair
+        const payments = await Settlement.aggregate([
+            { $match: { from: { $in: userIds }, to: { $in: userIds } } },
+            {
+                $group: {
+                    _id: { from: '$from', to: '$to' },
+                    amount: { $sum: '$amount' }
+                }
+            }
+        ]);
+
+        // Net debt per pair, signed from the lower user ID's side
+        const pairs = new Map();
+        const addDebt = (debtor, creditor, amount) => {
+            const [low, high] = [debtor, creditor].sort((a, b) => a - b);
+            const key = `${low}:${high}`;
+            const signed =
+                debtor === low ? amount : subtractAmounts(0, amount);
+
+            pairs.set(key, {
+                low,
+                high,
+                amounts: [...(pairs.get(key)?.amounts ?? []), signed]
+            });
+        };
+
+        for (const { _id, amount } of costDebts) {
+            addDebt(_id.debtor, _id.creditor, amount);
+        }
+        // A payment from one user to another reverses that much debt
+        for (const { _id, amount } of payments) {
+            addDebt(_id.to, _id.from, amount);
+        }
+
+        // Pairwise debts and the resulting balance of each user
+        const net = new Map(userIds.map(id => [id, []]));
+        const debts = [];
+
+        for (const { low, high, amounts } of pairs.values()) {
+            const owed = sumAmounts(amounts);
+            const value = toAmount(owed);
+
+            // Skip pairs that are even
+            if (value === 0) {
+                continue;
+            }
+            const [from, to] = value > 0 ? [low, high] : [high, low];
+            const amount = value > 0 ? owed : subtractAmounts(0, owed);
+
+            debts.push({ from, to, amount: toAmount(amount) });
+            net.get(from).push(subtractAmounts(0, amount));
+            net.get(to).push(amount);
+        }
+
+        const balances = userIds.map(id => ({
+            userid: id,
+            balance: sumAmounts(net.get(id))
+        }));
+
+        // Return balances, debts and suggested transfers
+        return res.status(200).json({
+            currency: baseCurrency,
+            balances: balances.map(entry => ({
+                userid: entry.userid,
+                balance: toAmount(entry.balance)
+            })),
+            debts,
+            transfers: suggestTransfers(balances)
+        });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * POST /settlements
+ * Body: { from, to, amount, date (optional, defaults to now) }
+ * Records that user 'from' paid user 'to' the amount, in the
+ * base currency.
+ */
+// Handler for POST requests to /settlements endpoint
+router.post('/settlements', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: POST /api/settlements');
+
+        const { from, to, amount, date } = req.body || {};
+
+        // Check required fields are present
+        if (
+            typeof from === 'undefined' ||
+            typeof to === 'undefined' ||
+            typeof amount === 'undefined'
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Missing required fields.'
+            });
+        }
+
+        // Validate user IDs
+        const fromId = toPositiveInteger(from);
+        const toId = toPositiveInteger(to);
+
+        if (fromId === null || toId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'From and to must be positive integer user IDs.'
+            });
+        }
+        if (fromId === toId) {
+            return res.status(400).json({
+                id: 400,
+                message: 'A user cannot settle with themselves.'
+            });
+        }
+
+        // Validate amount
+        const numericAmount = Number(amount);
+
+        if (
+            amount === null ||
+            !Number.isFinite(numericAmount) ||
+            numericAmount <= 0
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Amount must be a positive finite number.'
+            });
+        }
+
+        // Validate payment date (defaults to now)
+        const paymentDate =
+            typeof date === 'undefined' ? new Date() : new Date(date);
+
+        if (Number.isNaN(paymentDate.getTime())) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid date format.'
+            });
+        }
+
+        // Validate that both ids refer to existing, active users
+        const activeUsers = await User.find({
+            id: { $in: [fromId, toId] },
+            deleted_at: null
+        }).select({ id: 1 }).lean();
+        const activeIds = new Set(activeUsers.map(user => user.id));
+        const missingId = [fromId, toId].find(id => !activeIds.has(id));
+
+        if (typeof missingId !== 'undefined') {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${missingId} does not exist.`
+            });
+        }
+
+        // Record the payment
+        const settlement = await Settlement.create({
+            from: fromId,
+            to: toId,
+            amount: toDecimal(numericAmount),
+            date: paymentDate
+        });
+
+        // Return recorded settlement
+        return res.status(201).json(settlement);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,268 @@
+/*
+ * Split Routes
+ * Handles PATCH/DELETE /api/splits/:group for costs split among
+ * several users by POST /api/add. The linked costs of a group are
+ * edited or deleted together, so their sums keep adding up to the
+ * shared amount. Edits stay within the users' spending limits.
+ */
+// Import Express framework for routing
+import express from 'express';
+// MongoDB library for identifier validation
+import mongoose from 'mongoose';
+// Import Cost model for database operations
+import Cost from '../models/cost.model.js';
+// Import User model for payer validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared cost field validation
+import { validateCostFields } from '../utils/validation.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import report cache invalidation
+import { invalidateReports } from '../utils/reportCache.js';
+// Import admin authorization for limit overrides
+import { isAdminRequest } from '../utils/adminAuth.js';
+// Import spending limit enforcement
+import { saveWithinLimits, describeExceeded } from '../utils/limits.js';
+// Import exact splitting and sums
+import { toAmount, sumAmounts, splitAmount } from '../utils/money.js';
+// Import exchange-rate availability check
+import {
+    getBaseCurrency,
+    findUnconvertible,
+    missingRateMessage
+} from '../utils/currency.js';
+// Create Express router
+const router = express.Router();
+
+// Fields whose change can raise spending under a limit
+const LIMITED_FIELDS = ['category', 'sum', 'currency', 'date'];
+
+/*
+ * Response body of a split group: the shared amount and the
+ * portion of every user.
+ */
+function splitResponse(group, costs) {
+    return {
+        split_group: group,
+        sum: toAmount(sumAmounts(costs.map(cost => cost.sum))),
+        costs
+    };
+}
+
+/*
+ * PATCH /splits/:group
+ * Updates description, category, paid_by, sum, currency, date
+ * and/or tags of every cost in a split group. A new sum is split
+ * again with the group's original shares or percentages. Changes to
+ * the spending must stay within each user's limits unless an admin
+ * sends override_limits: true.
+ */
+// Handler for PATCH requests to /splits/:group endpoint
+router.patch('/splits/:group', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: PATCH /api/splits/${req.params.group}`
+        );
+
+        // Validate group identifier format
+        if (!mongoose.isObjectIdOrHexString(req.params.group)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Split group ID must be a valid identifier.'
+            });
+        }
+
+        // Limit overrides are reserved for admins
+        const overrideLimits = req.body?.override_limits === true;
+
+        if (overrideLimits && !isAdminRequest(req)) {
+            return res.status(403).json({
+                id: 403,
+                message: 'Admin authorization required.'
+            });
+        }
+
+        // Validate and normalize the provided fields
+        const { value, message } = validateCostFields(req.body, {
+            partial: true,
+            categories: await getCategories()
+        });
+
+        // Return first validation error
+        if (message) {
+            return res.status(400).json({ id: 400, message });
+        }
+
+        // The users sharing the cost are fixed
+        if (typeof value.userid !== 'undefined') {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'The users of a split cannot be changed. Delete the ' +
+                    'split and add it again.'
+            });
+        }
+
+        // Require at least one field to update
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({
+                id: 400,
+                message: 'No updatable fields provided.'
+            });
+        }
+
+        // A new payer must be an active user
+        if (typeof value.paid_by !== 'undefined') {
+            const payerExists = await User.exists({
+                id: value.paid_by,
+                deleted_at: null
+            });
+
+            if (!payerExists) {
+                return res.status(400).json({
+                    id: 400,
+                    message: `User ${value.paid_by} does not exist.`
+                });
+            }
+        }
+
+        // Find the costs of the group in creation order
+        const costs = await Cost.find({ split_group: req.params.group })
+            .sort({ _id: 1 });
+
+        // Return 404 if the group does not exist
+        if (costs.length === 0) {
+            return res.status(404).json({
+                id: 404,
+                message: `Split group ${req.params.group} does not exist.`
+            });
+        }
+
+        // A changed currency or date needs a rate in effect on the date
+        if (
+            typeof value.currency !== 'undefined' ||
+            typeof value.date !== 'undefined'
+        ) {
+            const [unconvertible] = await findUnconvertible([{
+                currency: value.currency ?? costs[0].currency,
+                date: value.date ?? costs[0].date
+            }]);
+
+            if (unconvertible) {
+                return res.status(400).json({
+                    id: 400,
+                    message: missingRateMessage(
+                        unconvertible,
+                        getBaseCurrency()
+                    )
+                });
+            }
+        }
+
+        // Remember the months the costs belonged to before the change
+        const previous = costs.map(({ userid, date }) => ({ userid, date }));
+
+        // Split a new sum again by the original weights
+        const sums = typeof value.sum === 'undefined'
+            ? null
+            : splitAmount(value.sum, costs.map(cost => cost.split_weight));
+
+        costs.forEach((cost, index) => {
+            cost.set({ ...value, ...(sums && { sum: sums[index] }) });
+        });
+
+        // Save all portions together; limits are checked only when
+        // the spending itself changes
+        const saved = await saveWithinLimits(costs, {
+            skipLimits:
+                overrideLimits ||
+                !costs.some(cost =>
+                    LIMITED_FIELDS.some(field => cost.isModified(field))),
+            validateModifiedOnly: true
+        });
+
+        // Period spending could not be converted for the check
+        if (saved.message) {
+            return res.status(400).json({
+                id: 400,
+                message: saved.message
+            });
+        }
+
+        // Reject changes exceeding a user's spending limit
+        if (saved.exceeded) {
+            return res.status(403).json({
+                id: 403,
+                ...describeExceeded(saved.exceeded, { nameUser: true })
+            });
+        }
+
+        // Invalidate cached reports of the old and new months
+        await invalidateReports([...previous, ...saved.costs]);
+
+        // Return updated group with 200 status
+        return res.status(200).json(
+            splitResponse(req.params.group, saved.costs)
+        );
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+
+/*
+ * DELETE /splits/:group
+ * Removes every cost of a split group and returns them.
+ */
+// Handler for DELETE requests to /splits/:group endpoint
+router.delete('/splits/:group', async (req, res) => {
+    try {
+        logEndpointAccess(
+            req,
+            `Endpoint accessed: DELETE /api/splits/${req.params.group}`
+        );
+
+        // Validate group identifier format
+        if (!mongoose.isObjectIdOrHexString(req.params.group)) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Split group ID must be a valid identifier.'
+            });
+        }
+
+        // Find the costs of the group in creation order
+        const costs = await Cost.find({ split_group: req.params.group })
+            .sort({ _id: 1 });
+
+        // Return 404 if the group does not exist
+        if (costs.length === 0) {
+            return res.status(404).json({
+                id: 404,
+                message: `Split group ${req.params.group} does not exist.`
+            });
+        }
+
+        // Remove the whole group in one operation
+        await Cost.deleteMany({ split_group: req.params.group });
+
+        // Invalidate the cached reports of the costs' months
+        await invalidateReports(costs);
+
+        // Return deleted group with 200 status
+        return res.status(200).json(splitResponse(req.params.group, costs));
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -0,0 +1,205 @@
+/*
+ * Tag Report Routes
+ * Handles GET /api/report/tags for per-tag spending totals.
+ * Tags cut across categories, so a cost carrying several tags
+ * counts towards each of them.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Cost model for aggregating cost data
+import Cost from '../models/cost.model.js';
+// Import User model for user validation
+import User from '../models/user.model.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Import shared query parameter helpers
+import {
+    toPositiveInteger,
+    parseOptionalDate
+} from '../utils/validation.js';
+// Import Decimal128 to number conversion for totals
+import { toAmount } from '../utils/money.js';
+// Import currency conversion helpers
+import {
+    getBaseCurrency,
+    parseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from '../utils/currency.js';
+// Create Express router
+const router = express.Router();
+
+/*
+ * Resolves the reporting period from the query parameters:
+ * a calendar month (year and month) or a from/to date range.
+ * Returns { from, to } (inclusive, either may be null for an
+ * open range) or { message } describing the error.
+ */
+function parsePeriod({ year, month, from, to }) {
+    // Calendar month
+    if (typeof year !== 'undefined' || typeof month !== 'undefined') {
+        const numericYear = toPositiveInteger(year);
+        const numericMonth = toPositiveInteger(month);
+
+        // Both values must be positive integers
+        if (numericYear === null || numericMonth === null) {
+            return {
+                message: 'Year and month must be positive integers.'
+            };
+        }
+        if (numericMonth > 12) {
+            return { message: 'Month number must be between 1 and 12.' };
+        }
+        // From the first to the last millisecond of the month
+        return {
+            from: new Date(numericYear, numericMonth - 1, 1),
+            to: new Date(new Date(numericYear, numericMonth, 1) - 1)
+        };
+    }
+
+    // Date range
+    const fromDate = parseOptionalDate(from);
+    const toDate = parseOptionalDate(to);
+
+    if (fromDate === null || toDate === null) {
+        return { message: 'Invalid date range format.' };
+    }
+    if (!fromDate && !toDate) {
+        return {
+            message: 'Provide year and month, or a from/to date range.'
+        };
+    }
+    return { from: fromDate ?? null, to: toDate ?? null };
+}
+
+/*
+ * GET /report/tags
+ * Totals a user's spending per tag, highest total first.
+ * Query params: userid (or id), and either year and month
+ * or from/to (inclusive date range, either side optional),
+ * currency (optional, defaults to the base currency).
+ */
+// Handler for GET requests to /report/tags endpoint
+router.get('/report/tags', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/report/tags');
+
+        const { id, userid } = req.query;
+        // Support both 'id' and 'userid' parameter names
+        const numericUserId = toPositiveInteger(userid ?? id);
+
+        // Validate user ID
+        if (numericUserId === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID must be a positive integer.'
+            });
+        }
+
+        // Validate reporting period
+        const period = parsePeriod(req.query);
+
+        if (period.message) {
+            return res.status(400).json({
+                id: 400,
+                message: period.message
+            });
+        }
+
+        // Validate report currency
+        const currency = typeof req.query.currency === 'undefined'
+            ? getBaseCurrency()
+            : parseCurrency(req.query.currency);
+
+        if (currency === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Currency must be a 3-letter currency code.'
+            });
+        }
+
+        // Validate that id refers to an existing user
+        const userExists = await User.exists({ id: numericUserId });
+
+        if (!userExists) {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${numericUserId} does not exist.`
+            });
+        }
+
+        // Tagged costs of the user within the period
+        const match = {
+            userid: numericUserId,
+            'tags.0': { $exists: true }
+        };
+
+        if (period.from || period.to) {
+            match.date = {
+                ...(period.from && { $gte: period.from }),
+                ...(period.to && { $lte: period.to })
+            };
+        }
+
+        // Total and count per tag, in the report currency
+        const [agg] = await Cost.aggregate([
+            { $match: match },
+            ...buildConversionStages(currency),
+            {
+                $facet: {
+                    totals: [
+                        { $unwind: '$tags' },
+                        {
+                            $group: {
+                                _id: '$tags',
+                                total: { $sum: '$amount' },
+                                count: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { total: -1, _id: 1 } },
+                        {
+                            $project: {
+                                _id: 0,
+                                tag: '$_id',
+                                total: 1,
+                                count: 1
+                            }
+                        }
+                    ],
+                    // First cost without an exchange rate, if any
+                    unconverted: [
+                        { $match: { amount: null } },
+                        { $limit: 1 }
+                    ]
+                }
+            }
+        ]);
+
+        // Every foreign cost needs a rate in effect on its date
+        if (agg.unconverted.length > 0) {
+            return res.status(400).json({
+                id: 400,
+                message: missingRateMessage(agg.unconverted[0], currency)
+            });
+        }
+
+        // Return tag breakdown with the resolved period
+        return res.status(200).json({
+            userid: numericUserId,
+            from: period.from,
+            to: period.to,
+            tags: agg.totals.map(entry => ({
+                ...entry,
+                total: toAmount(entry.total)
+            }))
+        });
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -1,7 +1,8 @@
 /*
  * User Routes
  * Handles GET requests for retrieving user information.
- * Includes total cost calculation for individual users.
+ * Includes total cost calculation for individual users,
+ * with optional per-category, per-month and recent-cost expansions.
  */
 // Import Express framework for routing
 import express from 'express';
@@ -9,11 +10,39 @@ import express from 'express';
 import User from '../models/user.model.js';
 // Import Cost model for calculating user totals
 import Cost from '../models/cost.model.js';
+// Import runtime category list for per-category totals
+import { getCategories } from '../utils/categories.js';
+// Import Decimal128 to number conversion for totals
+import { toAmount } from '../utils/money.js';
+// Import currency conversion helpers
+import {
+    getBaseCurrency,
+    parseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from '../utils/currency.js';
 // Import logging utility for endpoint access tracking
 import { logEndpointAccess } from '../utils/logger.js';
+// Import shared query parameter helpers
+import { escapeRegExp, parseOptionalDate } from '../utils/validation.js';
+// Import cursor pagination helpers
+import {
+    MAX_LIMIT,
+    parseLimit,
+    parseSort,
+    decodeCursor,
+    findPage,
+    setPageHeaders
+} from '../utils/pagination.js';
 const router = express.Router();
+// Fields GET /users can be sorted by
+const USER_SORT_FIELDS = ['id', 'last_name', 'birthday'];
+
 /*
- * GET /users - Returns all users from the database.
+ * GET /users - Returns active users from the database, one page at a time.
+ * Query params: limit, cursor, sort (id, last_name, birthday; '-' for
+ * descending), name (first/last name prefix), birthday_from, birthday_to.
+ * Paging metadata is returned in X-Total-Count and X-Next-Cursor headers.
  * Excludes MongoDB internal fields (_id, __v).
  */
 // Handler for GET requests to /users endpoint
@@ -22,15 +51,86 @@ router.get('/users', async (req, res) => {
     logEndpointAccess(req, 'Endpoint accessed: GET /api/users');
 
     try {
-        // Query all users from database
-        const users = await User.find({})
+        const {
+            limit,
+            cursor,
+            sort,
+            name,
+            birthday_from: birthdayFrom,
+            birthday_to: birthdayTo
+        } = req.query;
+
+        // Validate page size
+        const pageLimit = parseLimit(limit);
+
+        if (pageLimit === null) {
+            return res.status(400).json({
+                id: 400,
+                message: `Limit must be an integer between 1 and ${MAX_LIMIT}.`
+            });
+        }
+
+        // Validate sort field and direction
+        const pageSort = parseSort(sort, USER_SORT_FIELDS, 'id');
+
+        if (!pageSort) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'Sort must be one of: ' +
+                    `${USER_SORT_FIELDS.join(', ')}.`
+            });
+        }
+
+        // Validate cursor against the requested sort
+        const pageCursor = cursor ? decodeCursor(cursor, pageSort) : null;
+
+        if (cursor && !pageCursor) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid cursor.'
+            });
+        }
+
+        // Only active (not soft-deleted) users are listed
+        const filter = { deleted_at: null };
+
+        // Case-insensitive prefix match on first or last name
+        if (typeof name === 'string' && name.trim()) {
+            const prefix = new RegExp(`^${escapeRegExp(name.trim())}`, 'i');
+            filter.$or = [{ first_name: prefix }, { last_name: prefix }];
+        }
+
+        // Parse birthday range boundaries (inclusive)
+        const from = parseOptionalDate(birthdayFrom);
+        const to = parseOptionalDate(birthdayTo);
+
+        if (from === null || to === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Invalid birthday range format.'
+            });
+        }
+        if (from || to) {
+            filter.birthday = {
+                ...(from && { $gte: from }),
+                ...(to && { $lte: to })
+            };
+        }
+
+        // Query one page of users
+        const page = await findPage(User, filter, {
+            sort: pageSort,
+            limit: pageLimit,
+            cursor: pageCursor,
+            tiebreaker: 'id',
             // Exclude internal MongoDB fields
-            .select({ _id: 0, __v: 0 })
-            // Convert to plain JavaScript objects
-            .lean();
+            select: { _id: 0, __v: 0 }
+        });
 
-        // Return users array
-        return res.status(200).json(users);
+        // Return users array with paging headers
+        setPageHeaders(res, page);
+        return res.status(200).json(page.items);
     } catch (err) {
         // Handle any database or server errors
         return res.status(500).json({
@@ -40,10 +140,107 @@ router.get('/users', async (req, res) => {
     }
     // End of GET /users handler
 });
+// Optional expansions supported by GET /users/:id
+const USER_INCLUDES = ['categories', 'months', 'dates', 'recent'];
+// Default and maximum number of months in the monthly breakdown
+const DEFAULT_LAST_MONTHS = 6;
+const MAX_LAST_MONTHS = 120;
+// Number of costs returned by the 'recent' expansion
+const RECENT_COSTS_LIMIT = 5;
+// Server time zone, so month boundaries match the reports
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/*
+ * Builds the aggregation pipeline for a user's spending summary.
+ * Costs are converted to the given currency, then a single $facet
+ * computes the total plus every requested expansion.
+ */
+function buildSummaryPipeline(id, includes, monthsStart, currency) {
+    // Lifetime total is always computed
+    const facets = {
+        total: [{ $group: { _id: null, total: { $sum: '$amount' } } }],
+        // First cost without an exchange rate, if any
+        unconverted: [
+            { $match: { amount: null } },
+            { $limit: 1 },
+            { $project: { _id: 0, currency: 1, date: 1 } }
+        ]
+    };
+
+    // Totals per category
+    if (includes.has('categories')) {
+        facets.categories = [
+            { $group: { _id: '$category', total: { $sum: '$amount' } } }
+        ];
+    }
+
+    // Totals per calendar month since monthsStart
+    if (includes.has('months')) {
+        facets.months = [
+            { $match: { date: { $gte: monthsStart } } },
+            {
+                $group: {
+                    _id: {
+                        year: { $year: { date: '$date', timezone: TIME_ZONE } },
+                        month: {
+                            $month: { date: '$date', timezone: TIME_ZONE }
+                        }
+                    },
+                    total: { $sum: '$amount' }
+                }
+            }
+        ];
+    }
+
+    // Dates of the first and last cost
+    if (includes.has('dates')) {
+        facets.dates = [
+            {
+                $group: {
+                    _id: null,
+                    first: { $min: '$date' },
+                    last: { $max: '$date' }
+                }
+            }
+        ];
+    }
+
+    // Most recent costs, newest first
+    if (includes.has('recent')) {
+        facets.recent = [
+            { $sort: { date: -1, _id: -1 } },
+            { $limit: RECENT_COSTS_LIMIT },
+            {
+                $project: {
+                    _id: 0,
+                    description: 1,
+                    category: 1,
+                    sum: 1,
+                    currency: 1,
+                    amount: 1,
+                    date: 1
+                }
+            }
+        ];
+    }
+
+    return [
+        // Match costs for this user
+        { $match: { userid: id } },
+        // Convert every cost to the requested currency
+        ...buildConversionStages(currency),
+        // Compute all requested figures in one pass
+        { $facet: facets }
+    ];
+}
+
 /*
  * GET /users/:id
  * Returns a specific user with their total costs.
- * Uses MongoDB aggregation to calculate the sum of all costs.
+ * Query params: include (comma-separated list of categories, months,
+ * dates, recent), last_months (size of the monthly breakdown),
+ * currency (optional, defaults to the base currency).
+ * Uses a single MongoDB aggregation to calculate all figures.
  */
 // Handler for GET requests to /users/:id endpoint
 router.get('/users/:id', async (req, res) => {
@@ -64,8 +261,57 @@ router.get('/users/:id', async (req, res) => {
                 message: 'User ID must be a positive integer.'
             });
         }
-        // Find user by ID
-        const user = await User.findOne({ id }).lean();
+
+        // Parse requested expansions
+        const includes = new Set(
+            String(req.query.include ?? '')
+                .split(',')
+                .map(value => value.trim())
+                .filter(Boolean)
+        );
+
+        // Reject unknown expansions
+        if ([...includes].some(value => !USER_INCLUDES.includes(value))) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'Include must be a comma-separated list of: ' +
+                    `${USER_INCLUDES.join(', ')}.`
+            });
+        }
+
+        // Validate size of the monthly breakdown
+        const lastMonths = typeof req.query.last_months === 'undefined'
+            ? DEFAULT_LAST_MONTHS
+            : Number(req.query.last_months);
+
+        if (
+            !Number.isInteger(lastMonths) ||
+            lastMonths < 1 ||
+            lastMonths > MAX_LAST_MONTHS
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message:
+                    'Last months must be an integer between 1 and ' +
+                    `${MAX_LAST_MONTHS}.`
+            });
+        }
+
+        // Validate summary currency
+        const currency = typeof req.query.currency === 'undefined'
+            ? getBaseCurrency()
+            : parseCurrency(req.query.currency);
+
+        if (currency === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Currency must be a 3-letter currency code.'
+            });
+        }
+
+        // Find active user by ID
+        const user = await User.findOne({ id, deleted_at: null }).lean();
 
         // Return 404 if user not found
         if (!user) {
@@ -75,19 +321,30 @@ router.get('/users/:id', async (req, res) => {
             });
             // End of user not found check
         }
+
+        // First day of the oldest month in the breakdown
+        const now = new Date();
+        const monthsStart =
+            new Date(now.getFullYear(), now.getMonth() - lastMonths + 1, 1);
+
         /*
-         * Calculate total costs using MongoDB aggregation.
+         * Calculate total costs (and expansions) using MongoDB aggregation.
          * Sums all cost amounts for this user.
          */
-        const agg = await Cost.aggregate([
-            // Match costs for this user
-            { $match: { userid: id } },
-            // Group and sum all cost amounts
-            { $group: { _id: '$userid', total: { $sum: '$sum' } } }
-        ]);
+        const [agg] = await Cost.aggregate(
+            buildSummaryPipeline(id, includes, monthsStart, currency)
+        );
+
+        // Every foreign cost needs a rate in effect on its date
+        if (agg.unconverted.length > 0) {
+            return res.status(400).json({
+                id: 400,
+                message: missingRateMessage(agg.unconverted[0], currency)
+            });
+        }
 
-        // Extract total from aggregation result
-        const total = agg.length ? agg[0].total : 0;
+        // Extract total from aggregation result (exact decimal sum)
+        const total = agg.total.length ? toAmount(agg.total[0].total) : 0;
 
         // Build response object with user info and total
         const userObj = {
@@ -96,6 +353,63 @@ router.get('/users/:id', async (req, res) => {
             id: user.id,
             total
         };
+
+        // Totals per category, in configured category order
+        if (agg.categories) {
+            const totals = Object.fromEntries(
+                agg.categories.map(entry => [
+                    entry._id,
+                    toAmount(entry.total)
+                ])
+            );
+            const categories = await getCategories();
+            userObj.categories =
+                categories.map(cat => ({ [cat]: totals[cat] ?? 0 }));
+        }
+
+        // Totals per month, oldest first, including empty months
+        if (agg.months) {
+            userObj.months = Array.from({ length: lastMonths }, (_, i) => {
+                const start = new Date(
+                    monthsStart.getFullYear(),
+                    monthsStart.getMonth() + i,
+                    1
+                );
+                const year = start.getFullYear();
+                const month = start.getMonth() + 1;
+                const entry = agg.months.find(m =>
+                    m._id.year === year && m._id.month === month
+                );
+                return {
+                    year,
+                    month,
+                    total: entry ? toAmount(entry.total) : 0
+                };
+            });
+        }
+
+        // First and last cost dates (null when there are no costs)
+        if (agg.dates) {
+            userObj.first_cost_date = agg.dates[0]?.first ?? null;
+            userObj.last_cost_date = agg.dates[0]?.last ?? null;
+        }
+
+        // Most recent costs
+        if (agg.recent) {
+            userObj.recent = agg.recent.map(cost => ({
+                description: cost.description,
+                category: cost.category,
+                // Amount in the requested currency
+                sum: toAmount(cost.amount),
+                date: cost.date,
+                // Original amount of converted costs
+                ...(cost.currency !== currency && {
+                    original_sum: toAmount(cost.sum),
+                    original_currency: cost.currency
+                })
+            }));
+        }
+
         // Return user object with total costs
         return res.status(200).json(userObj);
     } catch (err) {
@@ -0,0 +1,253 @@
+/*
+ * Yearly Report Routes
+ * Handles GET /api/report/yearly for a year of category totals.
+ * Implements the Computed Design Pattern like the monthly report:
+ * reports of completed years are cached, the current and future
+ * years are computed on-demand.
+ */
+// Import Express framework for routing
+import express from 'express';
+// Import Cost model for aggregating cost data
+import Cost from '../models/cost.model.js';
+// Import YearlyReport model for caching reports
+import YearlyReport from '../models/yearly_report.model.js';
+// Import User model for user validation
+import User from '../models/user.model.js';
+// Import runtime category list
+import { getCategories } from '../utils/categories.js';
+// Import currency conversion helpers
+import {
+    getBaseCurrency,
+    parseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from '../utils/currency.js';
+// Import Decimal128 to number conversion and exact sums
+import { toAmount, sumAmounts } from '../utils/money.js';
+// Import logging utility for endpoint access tracking
+import { logEndpointAccess } from '../utils/logger.js';
+// Create Express router
+const router = express.Router();
+
+// Server time zone, so month boundaries match the monthly reports
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/*
+ * Builds the yearly report from per-month category totals.
+ * Every current category appears in every month, with 0 when
+ * nothing was spent; costs of unknown categories are left out,
+ * as in the monthly report.
+ */
+function buildYearlyReport(userid, year, categories, totals) {
+    // Month and category totals keyed by 'month:category'
+    const byMonth = new Map(
+        totals.map(entry => [
+            `${entry._id.month}:${entry._id.category}`,
+            entry.total
+        ])
+    );
+    const months = [];
+    const yearly = new Map(categories.map(cat => [cat, []]));
+
+    for (let month = 1; month <= 12; month++) {
+        const monthTotals = categories.map(cat => {
+            const total = byMonth.get(`${month}:${cat}`) ?? 0;
+
+            yearly.get(cat).push(total);
+            return { category: cat, total };
+        });
+
+        months.push({
+            month,
+            categories: monthTotals.map(entry => ({
+                category: entry.category,
+                total: toAmount(entry.total)
+            })),
+            total: toAmount(sumAmounts(monthTotals.map(entry => entry.total)))
+        });
+    }
+
+    // Category totals of the whole year
+    const yearTotals = categories.map(cat => ({
+        category: cat,
+        total: sumAmounts(yearly.get(cat))
+    }));
+
+    return {
+        userid,
+        year,
+        months,
+        categories: yearTotals.map(entry => ({
+            category: entry.category,
+            total: toAmount(entry.total)
+        })),
+        total: toAmount(sumAmounts(yearTotals.map(entry => entry.total)))
+    };
+}
+
+/*
+ * GET /report/yearly
+ * Generates a yearly cost report for a specific user: category
+ * totals per month, per year and a grand total.
+ * Query params: id (or userid), year,
+ * currency (optional, defaults to the base currency)
+ */
+// Handler for GET requests to /report/yearly endpoint
+router.get('/report/yearly', async (req, res) => {
+    try {
+        logEndpointAccess(req, 'Endpoint accessed: GET /api/report/yearly');
+
+        const { id, userid, year, currency } = req.query;
+        // Support both 'id' and 'userid' parameter names
+        const userIdValue = userid ?? id;
+
+        // Check all required parameters are present
+        if (!userIdValue || !year) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Missing required fields.'
+            });
+        }
+
+        // Convert parameters to numbers
+        const numericUserId = Number(userIdValue);
+        const numericYear = Number(year);
+
+        // Validate that all parameters are valid numbers
+        if (
+            !Number.isInteger(numericUserId) || numericUserId <= 0 ||
+            !Number.isInteger(numericYear) || numericYear <= 0
+        ) {
+            return res.status(400).json({
+                id: 400,
+                message: 'User ID and year must be positive integers.'
+            });
+        }
+
+        // Validate report currency
+        const baseCurrency = getBaseCurrency();
+        const reportCurrency = typeof currency === 'undefined'
+            ? baseCurrency
+            : parseCurrency(currency);
+
+        if (reportCurrency === null) {
+            return res.status(400).json({
+                id: 400,
+                message: 'Currency must be a 3-letter currency code.'
+            });
+        }
+
+        // Validate that id refers to an existing user
+        const userExists = await User.exists({ id: numericUserId });
+
+        if (!userExists) {
+            return res.status(400).json({
+                id: 400,
+                message: `User ${numericUserId} does not exist.`
+            });
+        }
+
+        // Only base currency reports of completed years are cached
+        const useCache =
+            numericYear < new Date().getFullYear() &&
+            reportCurrency === baseCurrency;
+
+        /*
+         * COMPUTED PATTERN: Check cache for completed years
+         * If report exists in database, return it immediately
+         */
+        if (useCache) {
+            const cachedReport = await YearlyReport.findOne({
+                userid: numericUserId,
+                year: numericYear
+            }).select({ _id: 0 });
+
+            // Return cached report if found
+            if (cachedReport) {
+                return res.status(200).json(cachedReport);
+            }
+        }
+
+        // Category totals per month, in the report currency
+        const categories = await getCategories();
+        const [agg] = await Cost.aggregate([
+            {
+                $match: {
+                    userid: numericUserId,
+                    date: {
+                        $gte: new Date(numericYear, 0, 1),
+                        $lt: new Date(numericYear + 1, 0, 1)
+                    }
+                }
+            },
+            ...buildConversionStages(reportCurrency),
+            {
+                $facet: {
+                    totals: [
+                        {
+                            $group: {
+                                _id: {
+                                    month: {
+                                        $month: {
+                                            date: '$date',
+                                            timezone: TIME_ZONE
+                                        }
+                                    },
+                                    category: '$category'
+                                },
+                                total: { $sum: '$amount' }
+                            }
+                        }
+                    ],
+                    // First cost without an exchange rate, if any
+                    unconverted: [
+                        { $match: { amount: null } },
+                        { $limit: 1 }
+                    ]
+                }
+            }
+        ]);
+
+        // Every foreign cost needs a rate in effect on its date
+        if (agg.unconverted.length > 0) {
+            return res.status(400).json({
+                id: 400,
+                message: missingRateMessage(
+                    agg.unconverted[0],
+                    reportCurrency
+                )
+            });
+        }
+
+        const report = buildYearlyReport(
+            numericUserId,
+            numericYear,
+            categories,
+            agg.totals
+        );
+
+        /*
+         * COMPUTED PATTERN: Cache report for completed years
+         * Future requests for this year will retrieve from cache;
+         * an upsert lets concurrent first requests share one document
+         */
+        if (useCache) {
+            await YearlyReport.replaceOne(
+                { userid: numericUserId, year: numericYear },
+                report,
+                { upsert: true }
+            );
+        }
+
+        // Return generated report
+        return res.status(200).json(report);
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+});
+// Export router for use in main application
+export default router;
@@ -17,6 +17,15 @@ import User from '../models/user.model.js';
 import Cost from '../models/cost.model.js';
 import Log from '../models/log.model.js';
 import Report from '../models/report.model.js';
+import YearlyReport from '../models/yearly_report.model.js';
+import Counter from '../models/counter.model.js';
+import IdempotencyKey from '../models/idempotency.model.js';
+import Category from '../models/category.model.js';
+import Rate from '../models/rate.model.js';
+import Budget from '../models/budget.model.js';
+import SpendingLimit from '../models/limit.model.js';
+import RecurringCost from '../models/recurring.model.js';
+import Settlement from '../models/settlement.model.js';
 
 // Load environment variables for database connection
 dotenv.config();
@@ -46,7 +55,16 @@ export default async function globalTeardown() {
         await Cost.deleteMany({});
         await Log.deleteMany({});
         await Report.deleteMany({});
+        await YearlyReport.deleteMany({});
         await User.deleteMany({});
+        await Counter.deleteMany({});
+        await IdempotencyKey.deleteMany({});
+        await Category.deleteMany({});
+        await Rate.deleteMany({});
+        await Budget.deleteMany({});
+        await SpendingLimit.deleteMany({});
+        await RecurringCost.deleteMany({});
+        await Settlement.deleteMany({});
 
         // Create the required final user for assignment verification
         await User.create({
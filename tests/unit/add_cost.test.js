@@ -15,6 +15,7 @@ import getMongoUri from '../../config/mongo_conn.js';
 // Import models and routes to test
 import Cost from '../../models/cost.model.js';
 import User from '../../models/user.model.js';
+import Report from '../../models/report.model.js';
 import addCostRoutes from '../../routes/add_cost.routes.js';
 
 // App instance for testing
@@ -875,4 +876,233 @@ describe('POST /api/add (Cost)', () => {
             expect(response.body.sum).toBe(123.45);
         }
     );
+
+    // Test soft-deleted user
+    test(
+        'should return 400 if user is soft-deleted',
+        async () => {
+            // Create a soft-deleted user
+            await User.create({
+                id: 123,
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: new Date('1990-01-15'),
+                deleted_at: new Date()
+            });
+            // Try to add a cost for the deleted user
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Lunch',
+                    category: 'food',
+                    userid: 123,
+                    sum: 40
+                });
+
+            // Verify 400 error and nothing saved
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('User 123 does not exist.');
+            expect(await Cost.countDocuments({ userid: 123 })).toBe(0);
+        }
+    );
+
+    // Test cost creation with tags
+    test(
+        'should store normalized tags',
+        async () => {
+            // Create user first
+            await User.create({
+                id: 123,
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: new Date('1990-01-15')
+            });
+            // Add a cost with mixed-case and duplicate tags
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Hotel',
+                    category: 'housing',
+                    userid: 123,
+                    sum: 400,
+                    tags: ['Vacation-2026', ' kids ', 'vacation-2026']
+                });
+
+            // Verify tags were trimmed, lowercased and deduplicated
+            expect(response.status).toBe(201);
+            expect(response.body.tags).toEqual(['vacation-2026', 'kids']);
+        }
+    );
+
+    // Test invalid tags
+    test(
+        'should return 400 for invalid tags',
+        async () => {
+            // Create user first
+            await User.create({
+                id: 123,
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: new Date('1990-01-15')
+            });
+            // Add a cost with a malformed tag
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Hotel',
+                    category: 'housing',
+                    userid: 123,
+                    sum: 400,
+                    tags: ['trip 2026']
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe(
+                "Tag 'trip 2026' is invalid. Tags must be 1-30 letters, " +
+                'digits, hyphens or underscores.'
+            );
+        }
+    );
+
+    // Test decimal storage of sums
+    test(
+        'should store sums as exact decimals and return numbers',
+        async () => {
+            // Create user first
+            await User.create({
+                id: 123,
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: new Date('1990-01-15')
+            });
+            // Add a cost with a decimal sum
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Coffee',
+                    category: 'food',
+                    userid: 123,
+                    sum: 12.35
+                });
+
+            // Verify the API returns a plain number
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveProperty('sum', 12.35);
+            // Verify the stored value is a Decimal128
+            const stored = await Cost.collection.findOne({ userid: 123 });
+            expect(stored.sum).toBeInstanceOf(mongoose.mongo.Decimal128);
+            expect(stored.sum.toString()).toBe('12.35');
+        }
+    );
+});
+
+describe('POST /api/add/backfill (Cost)', () => {
+    // Admin token used by the backfill tests
+    const adminToken = 'test-admin-token';
+
+    // Configure the admin token for these tests
+    beforeAll(() => {
+        process.env.ADMIN_TOKEN = adminToken;
+    });
+
+    // Remove the admin token afterwards
+    afterAll(() => {
+        delete process.env.ADMIN_TOKEN;
+    });
+
+    // Create the cost owner and clear cached reports
+    beforeEach(async () => {
+        await Report.deleteMany({});
+        await User.create({
+            id: 123,
+            first_name: 'John',
+            last_name: 'Doe',
+            birthday: new Date('1990-01-15')
+        });
+    });
+
+    // Test historical cost import
+    test(
+        'should accept a past date and invalidate the cached report',
+        async () => {
+            // Past date two months ago
+            const pastDate = new Date();
+            pastDate.setMonth(pastDate.getMonth() - 2);
+            // Cache a report for that month
+            await Report.create({
+                userid: 123,
+                year: pastDate.getFullYear(),
+                month: pastDate.getMonth() + 1,
+                costs: [{ food: [] }]
+            });
+
+            // Backfill a cost for that month
+            const response = await request(app)
+                .post('/api/add/backfill')
+                .set('X-Admin-Token', adminToken)
+                .send({
+                    description: 'Old groceries',
+                    category: 'food',
+                    userid: 123,
+                    sum: 60,
+                    date: pastDate.toISOString()
+                });
+
+            // Verify cost was created with the historical date
+            expect(response.status).toBe(201);
+            expect(new Date(response.body.date).toISOString())
+                .toBe(pastDate.toISOString());
+            // Verify the stale cached report was removed
+            expect(await Report.countDocuments({ userid: 123 })).toBe(0);
+        }
+    );
+
+    // Test missing admin token
+    test(
+        'should return 403 without a valid admin token',
+        async () => {
+            // Send backfill with a wrong token
+            const response = await request(app)
+                .post('/api/add/backfill')
+                .set('X-Admin-Token', 'wrong-token')
+                .send({
+                    description: 'Old groceries',
+                    category: 'food',
+                    userid: 123,
+                    sum: 60,
+                    date: '2020-01-01'
+                });
+
+            // Verify 403 error and nothing saved
+            expect(response.status).toBe(403);
+            expect(response.body).toHaveProperty('id', 403);
+            expect(response.body.message)
+                .toBe('Admin authorization required.');
+            expect(await Cost.countDocuments({})).toBe(0);
+        }
+    );
+
+    // Test regular endpoint still rejects past dates for admins
+    test(
+        'should keep rejecting past dates on POST /api/add',
+        async () => {
+            // Send past date with admin token to the regular endpoint
+            const response = await request(app)
+                .post('/api/add')
+                .set('X-Admin-Token', adminToken)
+                .send({
+                    description: 'Old groceries',
+                    category: 'food',
+                    userid: 123,
+                    sum: 60,
+                    date: '2020-01-01'
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Date cannot be in the past.');
+        }
+    );
 });
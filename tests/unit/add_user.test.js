@@ -14,6 +14,7 @@ import getMongoUri from '../../config/mongo_conn.js';
 
 // Import models and routes to test
 import User from '../../models/user.model.js';
+import Counter from '../../models/counter.model.js';
 import addUserRoutes from '../../routes/add_user.routes.js';
 
 // App instance for testing
@@ -42,8 +43,9 @@ afterAll(async () => {
 
 // Setup before each individual test
 beforeEach(async () => {
-    // Clear users collection before each test
+    // Clear users and counters before each test
     await User.deleteMany({});
+    await Counter.deleteMany({});
 });
 
 describe('POST /api/add (User)', () => {
@@ -72,26 +74,99 @@ describe('POST /api/add (User)', () => {
             expect(response.body).toHaveProperty('birthday');
         }
     );
-    // Test missing required fields
+    // Test server-assigned ID
     test(
-        'should return 400 if id is missing',
+        'should assign an id when id is missing',
         async () => {
             // Send request without id field
             const response = await request(app)
                 .post('/api/add')
                 // Send user data without id
-                // field to test validation
+                // field to let the server pick one
                 .send({
                     first_name: 'John',
                     last_name: 'Doe',
                     birthday: '1990-01-15'
                 });
 
-            // Verify 400 Bad Request status
-            expect(response.status).toBe(400);
-            // Verify error response structure
-            expect(response.body).toHaveProperty('id', 400);
-            expect(response.body.message).toBe('Missing required fields.');
+            // Verify 201 Created with a positive integer id
+            expect(response.status).toBe(201);
+            expect(Number.isInteger(response.body.id)).toBe(true);
+            expect(response.body.id).toBeGreaterThan(0);
+        }
+    );
+
+    // Test consecutive assigned IDs
+    test(
+        'should assign distinct ids to consecutive users',
+        async () => {
+            // Create two users without ids
+            const userData = {
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: '1990-01-15'
+            };
+            const first = await request(app).post('/api/add').send(userData);
+            const second = await request(app).post('/api/add').send(userData);
+
+            // Verify both were created with increasing ids
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(201);
+            expect(second.body.id).toBe(first.body.id + 1);
+        }
+    );
+
+    // Test assigned IDs skip explicit ones
+    test(
+        'should never assign an id that was chosen explicitly',
+        async () => {
+            // Create a user with an explicit id
+            await request(app)
+                .post('/api/add')
+                .send({
+                    id: 500,
+                    first_name: 'Jane',
+                    last_name: 'Smith',
+                    birthday: '1992-05-15'
+                });
+            // Create a user without an id
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    first_name: 'John',
+                    last_name: 'Doe',
+                    birthday: '1990-01-15'
+                });
+
+            // Verify assigned id is past the explicit one
+            expect(response.status).toBe(201);
+            expect(response.body.id).toBeGreaterThan(500);
+        }
+    );
+
+    // Test assigned IDs skip users created before the counter
+    test(
+        'should skip ids of users created directly in the database',
+        async () => {
+            // Create a user without going through the endpoint
+            await User.create({
+                id: 1,
+                first_name: 'Existing',
+                last_name: 'User',
+                birthday: new Date('1980-01-01')
+            });
+            // Create a user without an id
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    first_name: 'John',
+                    last_name: 'Doe',
+                    birthday: '1990-01-15'
+                });
+
+            // Verify the taken id was not reused
+            expect(response.status).toBe(201);
+            expect(response.body.id).toBeGreaterThan(1);
         }
     );
 
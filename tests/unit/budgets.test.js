@@ -0,0 +1,299 @@
+/*
+ * Budget Tests
+ * Tests the POST/GET /api/budgets endpoints and the budget status
+ * shown by GET /api/report and POST /api/add.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Budget from '../../models/budget.model.js';
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import Report from '../../models/report.model.js';
+import budgetRoutes from '../../routes/budget.routes.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+import reportRoutes from '../../routes/report.routes.js';
+
+// App instance for testing
+let app;
+
+// Future year so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount budget, cost and report routes under /api prefix
+    app.use('/api', budgetRoutes);
+    app.use('/api', addCostRoutes);
+    app.use('/api', reportRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Budget.deleteMany({});
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await Report.deleteMany({});
+
+    // Create test user
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+});
+
+describe('POST /api/budgets', () => {
+    // Test monthly budget creation
+    test(
+        'should set a budget for a category and month',
+        async () => {
+            // Set food budget for January
+            const response = await request(app)
+                .post('/api/budgets')
+                .send({
+                    userid: 123,
+                    category: 'Food',
+                    amount: 500,
+                    year: nextYear,
+                    month: 1
+                });
+
+            // Verify stored budget
+            expect(response.status).toBe(201);
+            expect(response.body).toMatchObject({
+                userid: 123,
+                category: 'food',
+                year: nextYear,
+                month: 1,
+                amount: 500
+            });
+        }
+    );
+
+    // Test budget replacement
+    test(
+        'should replace the amount of an existing budget',
+        async () => {
+            // Set the recurring food budget twice
+            await request(app)
+                .post('/api/budgets')
+                .send({ userid: 123, category: 'food', amount: 500 });
+            await request(app)
+                .post('/api/budgets')
+                .send({ userid: 123, category: 'food', amount: 600 });
+
+            // Verify a single budget holding the new amount
+            const response = await request(app)
+                .get('/api/budgets?userid=123');
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0]).toMatchObject({
+                year: null,
+                month: null,
+                amount: 600
+            });
+        }
+    );
+
+    // Test unknown category
+    test(
+        'should return 400 for an unknown category',
+        async () => {
+            // Set a budget for a category that does not exist
+            const response = await request(app)
+                .post('/api/budgets')
+                .send({ userid: 123, category: 'travel', amount: 500 });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toMatch(/^Category 'travel' is not in the list/);
+        }
+    );
+
+    // Test non-existent user
+    test(
+        'should return 400 for a non-existent user',
+        async () => {
+            // Set a budget for an unknown user
+            const response = await request(app)
+                .post('/api/budgets')
+                .send({ userid: 999, category: 'food', amount: 500 });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('User 999 does not exist.');
+        }
+    );
+});
+
+describe('GET /api/budgets', () => {
+    // Test budgets in effect for a month
+    test(
+        'should prefer the month budget over the recurring default',
+        async () => {
+            // Recurring food and health budgets, January food override
+            await Budget.create([
+                { userid: 123, category: 'food', amount: 500 },
+                { userid: 123, category: 'health', amount: 200 },
+                {
+                    userid: 123,
+                    category: 'food',
+                    year: nextYear,
+                    month: 1,
+                    amount: 800
+                }
+            ]);
+            const response = await request(app)
+                .get(`/api/budgets?userid=123&year=${nextYear}&month=1`);
+
+            // Verify one budget per category
+            expect(response.status).toBe(200);
+            expect(response.body.map(budget => budget.amount))
+                .toEqual([800, 200]);
+        }
+    );
+});
+
+describe('Budget status', () => {
+    // Test report budgets
+    test(
+        'should show budget, spent and remaining amounts in the report',
+        async () => {
+            // Recurring food budget and two food costs
+            await Budget.create({ userid: 123, category: 'food', amount: 100 });
+            await Cost.create([
+                {
+                    description: 'Groceries',
+                    category: 'food',
+                    userid: 123,
+                    sum: 60.1,
+                    date: new Date(nextYear, 0, 5)
+                },
+                {
+                    description: 'Restaurant',
+                    category: 'food',
+                    userid: 123,
+                    sum: 39.7,
+                    date: new Date(nextYear, 0, 9)
+                }
+            ]);
+            const response = await request(app)
+                .get(`/api/report?userid=123&year=${nextYear}&month=1`);
+
+            // Verify exact budget figures
+            expect(response.status).toBe(200);
+            expect(response.body.budgets).toEqual([
+                {
+                    category: 'food',
+                    budget: 100,
+                    spent: 99.8,
+                    remaining: 0.2,
+                    over_budget: false
+                }
+            ]);
+        }
+    );
+
+    // Test report without budgets
+    test(
+        'should leave the report unchanged without budgets',
+        async () => {
+            // Request report of a user without budgets
+            const response = await request(app)
+                .get(`/api/report?userid=123&year=${nextYear}&month=1`);
+
+            // Verify no budgets field
+            expect(response.status).toBe(200);
+            expect(response.body).not.toHaveProperty('budgets');
+        }
+    );
+
+    // Test over-budget cost
+    test(
+        'should flag a cost that pushes the category over budget',
+        async () => {
+            // Food budget of 100 for January
+            await Budget.create({
+                userid: 123,
+                category: 'food',
+                year: nextYear,
+                month: 1,
+                amount: 100
+            });
+            const first = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Groceries',
+                    category: 'food',
+                    userid: 123,
+                    sum: 80,
+                    date: new Date(nextYear, 0, 5).toISOString()
+                });
+            const second = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Restaurant',
+                    category: 'food',
+                    userid: 123,
+                    sum: 30,
+                    date: new Date(nextYear, 0, 9).toISOString()
+                });
+
+            // Verify budget status of both responses
+            expect(first.status).toBe(201);
+            expect(first.body.over_budget).toBe(false);
+            expect(second.status).toBe(201);
+            expect(second.body.over_budget).toBe(true);
+            expect(second.body.budget)
+                .toEqual({ amount: 100, spent: 110, remaining: -10 });
+        }
+    );
+
+    // Test cost without a budget
+    test(
+        'should return the plain cost when no budget applies',
+        async () => {
+            // Add a cost without any budget
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Gym',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 50,
+                    date: new Date(nextYear, 0, 5).toISOString()
+                });
+
+            // Verify no budget fields
+            expect(response.status).toBe(201);
+            expect(response.body).not.toHaveProperty('budget');
+            expect(response.body).not.toHaveProperty('over_budget');
+        }
+    );
+});
@@ -0,0 +1,274 @@
+/*
+ * Bulk Cost Endpoint Tests
+ * Tests the POST /api/add/bulk endpoint in atomic and partial mode,
+ * including spending limits.
+ */
+
+// Import testing utilities
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import SpendingLimit from '../../models/limit.model.js';
+import bulkCostRoutes from '../../routes/bulk_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Valid cost item reused by the tests
+const validItem = {
+    description: 'Groceries',
+    category: 'food',
+    userid: 123,
+    sum: 50
+};
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount bulk cost routes under /api prefix
+    app.use('/api', bulkCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections and create the cost owner
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await SpendingLimit.deleteMany({});
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+});
+
+describe('POST /api/add/bulk', () => {
+    // Test atomic insertion of valid items
+    test(
+        'should insert all items in atomic mode',
+        async () => {
+            // Send two valid items
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({
+                    items: [validItem, { ...validItem, sum: 20 }]
+                });
+
+            // Verify per-item results
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveProperty('saved', 2);
+            expect(response.body).toHaveProperty('failed', 0);
+            expect(response.body.results[1]).toHaveProperty('status', 201);
+            expect(response.body.results[1].cost).toHaveProperty('sum', 20);
+            expect(await Cost.countDocuments({})).toBe(2);
+        }
+    );
+
+    // Test atomic mode rejects the whole batch
+    test(
+        'should save nothing in atomic mode when an item is invalid',
+        async () => {
+            // Send one valid and one invalid item
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({
+                    mode: 'atomic',
+                    items: [validItem, { ...validItem, category: 'toys' }]
+                });
+
+            // Verify 400 with the failing item reported
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Some items are invalid. No costs were saved.');
+            expect(response.body.results).toHaveLength(1);
+            expect(response.body.results[0]).toHaveProperty('index', 1);
+            expect(await Cost.countDocuments({})).toBe(0);
+        }
+    );
+
+    // Test partial mode saves valid items
+    test(
+        'should save valid items in partial mode',
+        async () => {
+            // Send valid, invalid-sum and unknown-user items
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({
+                    mode: 'partial',
+                    items: [
+                        validItem,
+                        { ...validItem, sum: -1 },
+                        { ...validItem, userid: 999 }
+                    ]
+                });
+
+            // Verify 207 with one result per item in order
+            expect(response.status).toBe(207);
+            expect(response.body).toHaveProperty('saved', 1);
+            expect(response.body).toHaveProperty('failed', 2);
+            expect(response.body.results.map(r => r.status))
+                .toEqual([201, 400, 400]);
+            expect(response.body.results[1].message)
+                .toBe('Sum must be a non-negative finite number.');
+            expect(response.body.results[2].message)
+                .toBe('User 999 does not exist.');
+            expect(await Cost.countDocuments({})).toBe(1);
+        }
+    );
+
+    // Test results of a partially failed insert
+    test(
+        'should match partial insert failures to their items',
+        async () => {
+            // First document fails to write, the second one is saved
+            const insertMany = jest.spyOn(Cost, 'insertMany')
+                .mockImplementationOnce(async (docs) => {
+                    const err = new Error('Bulk write failed.');
+                    err.insertedDocs = [docs[1]];
+                    err.writeErrors = [{ index: 0 }];
+                    throw err;
+                });
+
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({
+                    mode: 'partial',
+                    items: [
+                        { ...validItem, description: 'Lost' },
+                        { ...validItem, description: 'Saved' }
+                    ]
+                });
+            insertMany.mockRestore();
+
+            // Verify each result belongs to its own item
+            expect(response.status).toBe(207);
+            expect(response.body.saved).toBe(1);
+            expect(response.body.results[0]).toEqual({
+                index: 0,
+                status: 500,
+                message: 'Cost could not be saved.'
+            });
+            expect(response.body.results[1].status).toBe(201);
+            expect(response.body.results[1].cost.description)
+                .toBe('Saved');
+        }
+    );
+
+    // Test invalid request shape
+    test(
+        'should return 400 for missing items or unknown mode',
+        async () => {
+            // Send empty items array
+            const noItems = await request(app)
+                .post('/api/add/bulk')
+                .send({ items: [] });
+            expect(noItems.status).toBe(400);
+            expect(noItems.body.message).toBe(
+                'Items must be a non-empty array of at most 1000 costs.'
+            );
+
+            // Send unknown mode
+            const badMode = await request(app)
+                .post('/api/add/bulk')
+                .send({ items: [validItem], mode: 'some' });
+            expect(badMode.status).toBe(400);
+            expect(badMode.body.message)
+                .toBe('Mode must be one of: atomic, partial.');
+        }
+    );
+});
+
+describe('Spending limits in POST /api/add/bulk', () => {
+    // Cap daily food spending at 60
+    beforeEach(async () => {
+        await SpendingLimit.create({
+            userid: 123,
+            category: 'food',
+            period: 'daily',
+            amount: 60
+        });
+    });
+
+    // Test atomic mode over the limit
+    test(
+        'should save nothing in atomic mode when items exceed a limit',
+        async () => {
+            // Two items of 50 exceed the daily cap together
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({ items: [validItem, validItem] });
+
+            // Verify 403 error and nothing saved
+            expect(response.status).toBe(403);
+            expect(response.body.limit).toEqual({
+                userid: 123,
+                category: 'food',
+                period: 'daily',
+                amount: 60,
+                remaining: 10
+            });
+            expect(await Cost.countDocuments({})).toBe(0);
+        }
+    );
+
+    // Test partial mode over the limit
+    test(
+        'should reject only the items exceeding a limit in partial mode',
+        async () => {
+            // The second item of 50 exceeds the daily cap
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({ mode: 'partial', items: [validItem, validItem] });
+
+            // Verify the first item was saved and the second rejected
+            expect(response.status).toBe(207);
+            expect(response.body.results.map(r => r.status))
+                .toEqual([201, 403]);
+            expect(response.body.results[1].message).toBe(
+                "Cost exceeds the daily limit of 60 for category 'food' " +
+                'of user 123. Remaining: 10.'
+            );
+            expect(await Cost.countDocuments({})).toBe(1);
+        }
+    );
+
+    // Test override without admin token
+    test(
+        'should return 403 for an override without the admin token',
+        async () => {
+            // Request the override as a regular client
+            const response = await request(app)
+                .post('/api/add/bulk')
+                .send({ items: [validItem], override_limits: true });
+
+            // Verify 403 error
+            expect(response.status).toBe(403);
+            expect(response.body.message)
+                .toBe('Admin authorization required.');
+        }
+    );
+});
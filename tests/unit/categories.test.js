@@ -0,0 +1,550 @@
+/*
+ * Category Endpoint Tests
+ * Tests the GET/POST/PATCH/DELETE /api/categories endpoints and
+ * runtime use of new categories when adding costs.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+import CATEGORIES from '../../config/categories.js';
+
+// Import models and routes to test
+import Category from '../../models/category.model.js';
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import Report from '../../models/report.model.js';
+import Budget from '../../models/budget.model.js';
+import SpendingLimit from '../../models/limit.model.js';
+import RecurringCost from '../../models/recurring.model.js';
+import categoryRoutes from '../../routes/category.routes.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount category and add cost routes under /api prefix
+    app.use('/api', categoryRoutes);
+    app.use('/api', addCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Category.deleteMany({});
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await Report.deleteMany({});
+    await Budget.deleteMany({});
+    await SpendingLimit.deleteMany({});
+    await RecurringCost.deleteMany({});
+
+    // Create the user costs are added for
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-01')
+    });
+});
+
+describe('GET /api/categories', () => {
+    // Test seeding of the default categories
+    test(
+        'should return the default categories on a fresh database',
+        async () => {
+            // Request categories from an empty collection
+            const response = await request(app).get('/api/categories');
+
+            // Verify defaults in configured order
+            expect(response.status).toBe(200);
+            expect(response.body.map(category => category.name))
+                .toEqual(CATEGORIES);
+        }
+    );
+});
+
+describe('POST /api/categories', () => {
+    // Test category creation and runtime use
+    test(
+        'should create a category that costs can use immediately',
+        async () => {
+            // Create a new category
+            const response = await request(app)
+                .post('/api/categories')
+                .send({ name: ' Transport ', description: 'Bus and taxi' });
+
+            // Verify normalized category
+            expect(response.status).toBe(201);
+            expect(response.body).toEqual({
+                name: 'transport',
+                description: 'Bus and taxi'
+            });
+
+            // Add a cost in the new category
+            const costResponse = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Bus',
+                    category: 'transport',
+                    userid: 123,
+                    sum: 6
+                });
+            expect(costResponse.status).toBe(201);
+        }
+    );
+
+    // Test duplicate category
+    test(
+        'should return 409 for an existing category',
+        async () => {
+            // Create a category that is seeded by default
+            const response = await request(app)
+                .post('/api/categories')
+                .send({ name: 'Food' });
+
+            // Verify 409 error
+            expect(response.status).toBe(409);
+            expect(response.body.message)
+                .toBe("Category 'food' already exists.");
+        }
+    );
+
+    // Test invalid name
+    test(
+        'should return 400 for invalid category names',
+        async () => {
+            // Send name with a reserved character
+            const response = await request(app)
+                .post('/api/categories')
+                .send({ name: 'a.b' });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe(
+                'Category name must be 1-50 letters, digits, ' +
+                'spaces, hyphens or underscores.'
+            );
+        }
+    );
+});
+
+describe('PATCH /api/categories/:name', () => {
+    // Test description update
+    test(
+        'should update the description',
+        async () => {
+            // Update a default category
+            const response = await request(app)
+                .patch('/api/categories/food')
+                .send({ description: 'Groceries and restaurants' });
+
+            // Verify updated category
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                name: 'food',
+                description: 'Groceries and restaurants'
+            });
+        }
+    );
+
+    // Test non-existent category
+    test(
+        'should return 404 for a non-existent category',
+        async () => {
+            // Update unknown category
+            const response = await request(app)
+                .patch('/api/categories/travel')
+                .send({ description: 'Trips' });
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe("Category 'travel' does not exist.");
+        }
+    );
+});
+
+describe('DELETE /api/categories/:name', () => {
+    // Test deletion of an unused category
+    test(
+        'should delete an unused category',
+        async () => {
+            // Delete a category without costs
+            const response = await request(app)
+                .delete('/api/categories/sports');
+
+            // Verify deletion
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                name: 'sports',
+                merged_into: null,
+                moved_costs: 0
+            });
+            expect(await Category.exists({ name: 'sports' })).toBeNull();
+        }
+    );
+
+    // Test deletion of a category in use
+    test(
+        'should return 409 for a category in use without merge_into',
+        async () => {
+            // Create a cost in the category
+            await Cost.create({
+                description: 'Gym',
+                category: 'sports',
+                userid: 123,
+                sum: 100
+            });
+            const response = await request(app)
+                .delete('/api/categories/sports');
+
+            // Verify 409 error and category kept
+            expect(response.status).toBe(409);
+            expect(response.body.message).toBe(
+                "Category 'sports' is used by 1 costs. Provide " +
+                'merge_into to move them to another category.'
+            );
+            expect(await Category.exists({ name: 'sports' })).not.toBeNull();
+        }
+    );
+
+    // Test deletion of a category used by a recurring cost
+    test(
+        'should return 409 for a category of a recurring cost',
+        async () => {
+            // Schedule a cost in the otherwise unused category
+            await RecurringCost.create({
+                description: 'Gym',
+                category: 'sports',
+                userid: 123,
+                sum: 100,
+                schedule: { frequency: 'monthly', day: 1 },
+                start_date: new Date()
+            });
+            const response = await request(app)
+                .delete('/api/categories/sports');
+
+            // Verify 409 error and category kept
+            expect(response.status).toBe(409);
+            expect(response.body.message).toBe(
+                "Category 'sports' is used by 1 recurring costs. Provide " +
+                'merge_into to move them to another category.'
+            );
+            expect(await Category.exists({ name: 'sports' })).not.toBeNull();
+        }
+    );
+
+    // Test deletion of a category with budgets
+    test(
+        'should return 409 for a category with budgets without merge_into',
+        async () => {
+            // Budget the otherwise unused category
+            await Budget.create({
+                userid: 123,
+                category: 'sports',
+                amount: 100
+            });
+            const response = await request(app)
+                .delete('/api/categories/sports');
+
+            // Verify 409 error and budget kept
+            expect(response.status).toBe(409);
+            expect(response.body.message).toBe(
+                "Category 'sports' has 1 budgets and 0 spending limits. " +
+                'Provide merge_into to move them to another category ' +
+                'or delete them first.'
+            );
+            expect(await Budget.countDocuments({ category: 'sports' }))
+                .toBe(1);
+        }
+    );
+
+    // Test deletion with merge target
+    test(
+        'should move costs to merge_into and delete the category',
+        async () => {
+            // Create a cost in the category
+            await Cost.create({
+                description: 'Gym',
+                category: 'sports',
+                userid: 123,
+                sum: 100
+            });
+            const response = await request(app)
+                .delete('/api/categories/sports?merge_into=health');
+
+            // Verify costs were moved
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('merged_into', 'health');
+            expect(response.body).toHaveProperty('moved_costs', 1);
+            expect(await Cost.countDocuments({ category: 'health' }))
+                .toBe(1);
+            expect(await Category.exists({ name: 'sports' })).toBeNull();
+        }
+    );
+
+    // Test deleted category in cost validation
+    test(
+        'should reject costs in a deleted category',
+        async () => {
+            // Delete category, then add a cost in it
+            await request(app).delete('/api/categories/sports');
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Gym',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 100
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toContain(
+                "Category 'sports' is not in the list"
+            );
+        }
+    );
+});
+
+describe('Category rename and merge', () => {
+    // Test rename through PATCH
+    test(
+        'should rename a category in costs and cached reports',
+        async () => {
+            // Create a cost and a cached report using the category
+            await Cost.create({
+                description: 'Gym',
+                category: 'sports',
+                userid: 123,
+                sum: 100
+            });
+            await Report.create({
+                userid: 123,
+                year: 2024,
+                month: 1,
+                costs: [
+                    { food: [] },
+                    { sports: [{ sum: 100, description: 'Gym', day: 3 }] }
+                ]
+            });
+            const response = await request(app)
+                .patch('/api/categories/sports')
+                .send({ name: 'Fitness' });
+
+            // Verify renamed category
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ name: 'fitness' });
+            // Verify cost and report use the new name in the same place
+            expect(await Cost.countDocuments({ category: 'fitness' }))
+                .toBe(1);
+            const report = await Report.findOne({ userid: 123 }).lean();
+            expect(report.costs).toEqual([
+                { food: [] },
+                { fitness: [{ sum: 100, description: 'Gym', day: 3 }] }
+            ]);
+        }
+    );
+
+    // Test rename onto an existing category
+    test(
+        'should return 409 when renaming to an existing category',
+        async () => {
+            // Rename onto a default category
+            const response = await request(app)
+                .patch('/api/categories/sports')
+                .send({ name: 'health' });
+
+            // Verify 409 error
+            expect(response.status).toBe(409);
+            expect(response.body.message).toBe(
+                "Category 'health' already exists. Use " +
+                'POST /api/categories/merge to merge categories.'
+            );
+        }
+    );
+
+    // Test merging several categories
+    test(
+        'should merge several categories into one',
+        async () => {
+            // Create costs in two source categories
+            await Cost.create([
+                {
+                    description: 'Gym',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 100
+                },
+                {
+                    description: 'Course',
+                    category: 'education',
+                    userid: 123,
+                    sum: 50
+                }
+            ]);
+            await Report.create({
+                userid: 123,
+                year: 2024,
+                month: 1,
+                costs: [
+                    { health: [{ sum: 30, description: 'Pills', day: 9 }] },
+                    { sports: [{ sum: 100, description: 'Gym', day: 3 }] },
+                    { education: [] }
+                ]
+            });
+            const response = await request(app)
+                .post('/api/categories/merge')
+                .send({ sources: ['sports', 'education'], target: 'health' });
+
+            // Verify merge summary
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                target: 'health',
+                merged: ['sports', 'education'],
+                moved_costs: 2,
+                rewritten_reports: 1
+            });
+            // Verify source categories are gone
+            expect(await Category.exists({ name: 'sports' })).toBeNull();
+            expect(await Category.exists({ name: 'education' })).toBeNull();
+            // Verify report entries were combined in day order
+            const report = await Report.findOne({ userid: 123 }).lean();
+            expect(report.costs).toEqual([
+                {
+                    health: [
+                        { sum: 100, description: 'Gym', day: 3 },
+                        { sum: 30, description: 'Pills', day: 9 }
+                    ]
+                }
+            ]);
+        }
+    );
+
+    // Test merge of budgets
+    test(
+        'should move budgets and sum them where both categories had one',
+        async () => {
+            // Default budgets in both, a monthly one only in a source
+            await Budget.create([
+                { userid: 123, category: 'sports', amount: 100.1 },
+                { userid: 123, category: 'health', amount: 50.2 },
+                {
+                    userid: 123,
+                    category: 'sports',
+                    year: 2024,
+                    month: 1,
+                    amount: 80
+                }
+            ]);
+            const response = await request(app)
+                .post('/api/categories/merge')
+                .send({ sources: ['sports'], target: 'health' });
+
+            // Verify budgets now belong to the target
+            expect(response.status).toBe(200);
+            const budgets = await Budget.find({ userid: 123 })
+                .sort({ month: 1 });
+            expect(budgets.map(budget => budget.toJSON())).toEqual([
+                expect.objectContaining({
+                    category: 'health',
+                    year: null,
+                    month: null,
+                    amount: 150.3
+                }),
+                expect.objectContaining({
+                    category: 'health',
+                    year: 2024,
+                    month: 1,
+                    amount: 80
+                })
+            ]);
+        }
+    );
+
+    // Test merge of spending limits
+    test(
+        'should move limits and sum them where both categories had one',
+        async () => {
+            // Monthly limits in both, a daily one only in the source
+            await SpendingLimit.create([
+                {
+                    userid: 123,
+                    category: 'sports',
+                    period: 'monthly',
+                    amount: 300
+                },
+                {
+                    userid: 123,
+                    category: 'health',
+                    period: 'monthly',
+                    amount: 200
+                },
+                {
+                    userid: 123,
+                    category: 'sports',
+                    period: 'daily',
+                    amount: 20
+                }
+            ]);
+            const response = await request(app)
+                .delete('/api/categories/sports?merge_into=health');
+
+            // Verify limits now belong to the target
+            expect(response.status).toBe(200);
+            const limits = await SpendingLimit.find({ userid: 123 })
+                .sort({ period: 1 });
+            expect(limits.map(limit => limit.toJSON())).toEqual([
+                expect.objectContaining({
+                    category: 'health',
+                    period: 'daily',
+                    amount: 20
+                }),
+                expect.objectContaining({
+                    category: 'health',
+                    period: 'monthly',
+                    amount: 500
+                })
+            ]);
+        }
+    );
+
+    // Test merge with unknown source
+    test(
+        'should return 404 for a non-existent source category',
+        async () => {
+            // Merge unknown category
+            const response = await request(app)
+                .post('/api/categories/merge')
+                .send({ sources: ['travel'], target: 'health' });
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe("Category 'travel' does not exist.");
+        }
+    );
+});
@@ -0,0 +1,203 @@
+/*
+ * Costs List Endpoint Tests
+ * Tests the GET /api/costs endpoint with filters and pagination.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import costRoutes from '../../routes/cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Future base date so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount cost routes under /api prefix
+    app.use('/api', costRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear costs collection and create a small ledger
+    await Cost.deleteMany({});
+    await Cost.create([
+        {
+            description: 'Supermarket',
+            category: 'food',
+            userid: 1,
+            sum: 120,
+            date: new Date(nextYear, 0, 5),
+            tags: ['kids', 'weekly']
+        },
+        {
+            description: 'Pharmacy',
+            category: 'health',
+            userid: 1,
+            sum: 45,
+            date: new Date(nextYear, 0, 10)
+        },
+        {
+            description: 'Bakery',
+            category: 'food',
+            userid: 1,
+            sum: 15,
+            date: new Date(nextYear, 1, 2),
+            tags: ['kids']
+        },
+        {
+            description: 'Supermarket',
+            category: 'food',
+            userid: 2,
+            sum: 80,
+            date: new Date(nextYear, 0, 7)
+        }
+    ]);
+});
+
+describe('GET /api/costs', () => {
+    // Test default listing
+    test(
+        'should return all costs sorted by date',
+        async () => {
+            // Make GET request without filters
+            const response = await request(app).get('/api/costs');
+
+            // Verify all costs are returned oldest first
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(4);
+            expect(response.body.map(cost => cost.sum))
+                .toEqual([120, 80, 45, 15]);
+            expect(response.headers['x-total-count']).toBe('4');
+            // Verify costs carry their identifier
+            expect(response.body[0]).toHaveProperty('_id');
+        }
+    );
+
+    // Test combined filters
+    test(
+        'should filter by userid, category and description',
+        async () => {
+            // Filter user 1 food costs matching "market"
+            const response = await request(app).get(
+                '/api/costs?userid=1&category=Food&description=MARKET'
+            );
+
+            // Verify only the matching cost is returned
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0]).toHaveProperty('sum', 120);
+        }
+    );
+
+    // Test date and sum ranges
+    test(
+        'should filter by date range and sum range',
+        async () => {
+            // January costs between 40 and 100
+            const from = new Date(nextYear, 0, 1).toISOString();
+            const to = new Date(nextYear, 0, 31).toISOString();
+            const response = await request(app).get(
+                `/api/costs?from=${from}&to=${to}&min_sum=40&max_sum=100`
+            );
+
+            // Verify matching costs
+            expect(response.status).toBe(200);
+            expect(response.body.map(cost => cost.sum)).toEqual([80, 45]);
+        }
+    );
+
+    // Test sorting and cursor pagination
+    test(
+        'should page through costs sorted by sum descending',
+        async () => {
+            // Request first page
+            const first = await request(app)
+                .get('/api/costs?sort=-sum&limit=3');
+
+            // Verify first page
+            expect(first.status).toBe(200);
+            expect(first.body.map(cost => cost.sum))
+                .toEqual([120, 80, 45]);
+            expect(first.headers['x-next-cursor']).toBeDefined();
+
+            // Request second page with the returned cursor
+            const second = await request(app).get(
+                '/api/costs?sort=-sum&limit=3&cursor=' +
+                first.headers['x-next-cursor']
+            );
+
+            // Verify last page
+            expect(second.body.map(cost => cost.sum)).toEqual([15]);
+            expect(second.headers['x-next-cursor']).toBeUndefined();
+        }
+    );
+
+    // Test invalid parameters
+    test(
+        'should return 400 for invalid filters',
+        async () => {
+            // Send invalid sum range
+            const badSum = await request(app)
+                .get('/api/costs?min_sum=abc');
+            expect(badSum.status).toBe(400);
+            expect(badSum.body.message)
+                .toBe('Sum range must contain finite numbers.');
+
+            // Send invalid date
+            const badDate = await request(app).get('/api/costs?from=nope');
+            expect(badDate.status).toBe(400);
+            expect(badDate.body.message)
+                .toBe('Invalid date range format.');
+
+            // Send unsupported sort field
+            const badSort = await request(app)
+                .get('/api/costs?sort=category');
+            expect(badSort.status).toBe(400);
+            expect(badSort.body.message)
+                .toBe('Sort must be one of: date, sum.');
+        }
+    );
+
+    // Test tag filter
+    test(
+        'should filter by tags',
+        async () => {
+            // Filter by one tag, then by two tags
+            const oneTag = await request(app).get('/api/costs?tag=Kids');
+            const twoTags = await request(app)
+                .get('/api/costs?tag=kids,weekly');
+
+            // Verify costs carrying every listed tag are returned
+            expect(oneTag.status).toBe(200);
+            expect(oneTag.body.map(cost => cost.sum)).toEqual([120, 15]);
+            expect(twoTags.body.map(cost => cost.sum)).toEqual([120]);
+        }
+    );
+});
@@ -0,0 +1,119 @@
+/*
+ * Delete Cost Endpoint Tests
+ * Tests the DELETE /api/costs/:id endpoint including
+ * report cache invalidation.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import Report from '../../models/report.model.js';
+import deleteCostRoutes from '../../routes/delete_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount delete cost routes under /api prefix
+    app.use('/api', deleteCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await Report.deleteMany({});
+});
+
+describe('DELETE /api/costs/:id', () => {
+    // Test successful deletion with cache invalidation
+    test(
+        'should delete cost and invalidate its cached report',
+        async () => {
+            // Insert a past-month cost directly (bypass validation)
+            const pastDate = new Date();
+            pastDate.setMonth(pastDate.getMonth() - 2);
+            const { insertedId } = await Cost.collection.insertOne({
+                description: 'Old expense',
+                category: 'health',
+                userid: 123,
+                sum: 200,
+                date: pastDate
+            });
+            // Cache a report for that month
+            await Report.create({
+                userid: 123,
+                year: pastDate.getFullYear(),
+                month: pastDate.getMonth() + 1,
+                costs: [{ health: [{ sum: 200 }] }]
+            });
+
+            // Delete the cost
+            const response = await request(app)
+                .delete(`/api/costs/${insertedId}`);
+
+            // Verify deleted document is returned
+            expect(response.status).toBe(200);
+            expect(response.body)
+                .toHaveProperty('description', 'Old expense');
+            // Verify cost and cached report were removed
+            expect(await Cost.countDocuments({})).toBe(0);
+            expect(await Report.countDocuments({ userid: 123 })).toBe(0);
+        }
+    );
+
+    // Test invalid identifier
+    test(
+        'should return 400 for invalid cost ID',
+        async () => {
+            // Send malformed id
+            const response = await request(app)
+                .delete('/api/costs/not-an-id');
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Cost ID must be a valid identifier.');
+        }
+    );
+
+    // Test non-existent cost
+    test(
+        'should return 404 for non-existent cost',
+        async () => {
+            // Delete unknown cost
+            const missingId = new mongoose.Types.ObjectId();
+            const response = await request(app)
+                .delete(`/api/costs/${missingId}`);
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe(`Cost ${missingId} does not exist.`);
+        }
+    );
+});
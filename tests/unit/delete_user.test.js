@@ -0,0 +1,243 @@
+/*
+ * Delete User Endpoint Tests
+ * Tests the DELETE /api/users/:id endpoint in soft and hard mode.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import User from '../../models/user.model.js';
+import Cost from '../../models/cost.model.js';
+import Report from '../../models/report.model.js';
+import RecurringCost from '../../models/recurring.model.js';
+import Budget from '../../models/budget.model.js';
+import SpendingLimit from '../../models/limit.model.js';
+import Settlement from '../../models/settlement.model.js';
+import deleteUserRoutes from '../../routes/delete_user.routes.js';
+import addUserRoutes from '../../routes/add_user.routes.js';
+
+// App instance for testing
+let app;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount delete and add user routes under /api prefix
+    app.use('/api', deleteUserRoutes);
+    app.use('/api', addUserRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await User.deleteMany({});
+    await Cost.deleteMany({});
+    await Report.deleteMany({});
+    await RecurringCost.deleteMany({});
+    await Budget.deleteMany({});
+    await SpendingLimit.deleteMany({});
+    await Settlement.deleteMany({});
+
+    // Create a user with one cost and one cached report
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+    await Cost.create({
+        description: 'Lunch',
+        category: 'food',
+        userid: 123,
+        sum: 40,
+        date: new Date()
+    });
+    await Report.create({
+        userid: 123,
+        year: 2024,
+        month: 1,
+        costs: [{ food: [] }]
+    });
+});
+
+describe('DELETE /api/users/:id', () => {
+    // Test default soft deletion
+    test(
+        'should soft-delete by default and keep costs',
+        async () => {
+            // Delete user without a mode
+            const response = await request(app).delete('/api/users/123');
+
+            // Verify soft-delete confirmation
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('id', 123);
+            expect(response.body).toHaveProperty('mode', 'soft');
+            expect(response.body).toHaveProperty('deleted_at');
+            // Verify user document is kept with deleted_at set
+            const savedUser = await User.findOne({ id: 123 });
+            expect(savedUser.deleted_at).toBeInstanceOf(Date);
+            // Verify costs are archived, not removed
+            expect(await Cost.countDocuments({ userid: 123 })).toBe(1);
+        }
+    );
+
+    // Test repeated soft deletion
+    test(
+        'should return 404 when soft-deleting an already deleted user',
+        async () => {
+            // Soft-delete twice
+            await request(app).delete('/api/users/123');
+            const response = await request(app).delete('/api/users/123');
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message).toBe('User 123 does not exist.');
+        }
+    );
+
+    // Test hard deletion cascade
+    test(
+        'should hard-delete user, costs and cached reports',
+        async () => {
+            // Delete user in hard mode
+            const response = await request(app)
+                .delete('/api/users/123?mode=hard');
+
+            // Verify hard-delete confirmation with counts
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('mode', 'hard');
+            expect(response.body).toHaveProperty('deleted_costs', 1);
+            expect(response.body).toHaveProperty('deleted_reports', 1);
+            // Verify everything was purged
+            expect(await User.exists({ id: 123 })).toBeNull();
+            expect(await Cost.countDocuments({ userid: 123 })).toBe(0);
+            expect(await Report.countDocuments({ userid: 123 })).toBe(0);
+        }
+    );
+
+    // Test reuse of a purged id
+    test(
+        'should leave nothing of a purged user to a new user with the id',
+        async () => {
+            // Give the user a schedule, budget, limit and settlement
+            await RecurringCost.create({
+                description: 'Rent',
+                category: 'housing',
+                userid: 123,
+                sum: 4500,
+                schedule: { frequency: 'monthly', day: 1 },
+                start_date: new Date()
+            });
+            await Budget.create({ userid: 123, category: 'food', amount: 500 });
+            await SpendingLimit.create({
+                userid: 123,
+                category: 'food',
+                period: 'daily',
+                amount: 50
+            });
+            await Settlement.create({ from: 456, to: 123, amount: 20 });
+
+            // Purge the user, then add a new user with the same id
+            await request(app).delete('/api/users/123?mode=hard');
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    id: 123,
+                    first_name: 'Jane',
+                    last_name: 'Roe',
+                    birthday: '1995-05-20'
+                });
+
+            // Verify the new user inherits nothing
+            expect(response.status).toBe(201);
+            expect(await RecurringCost.countDocuments({ userid: 123 }))
+                .toBe(0);
+            expect(await Budget.countDocuments({ userid: 123 })).toBe(0);
+            expect(await SpendingLimit.countDocuments({ userid: 123 }))
+                .toBe(0);
+            expect(await Settlement.countDocuments({
+                $or: [{ from: 123 }, { to: 123 }]
+            })).toBe(0);
+        }
+    );
+
+    // Test hard deletion after soft deletion
+    test(
+        'should hard-delete a previously soft-deleted user',
+        async () => {
+            // Soft-delete first, then purge
+            await request(app).delete('/api/users/123');
+            const response = await request(app)
+                .delete('/api/users/123?mode=hard');
+
+            // Verify purge succeeded
+            expect(response.status).toBe(200);
+            expect(await User.exists({ id: 123 })).toBeNull();
+        }
+    );
+
+    // Test invalid mode
+    test(
+        'should return 400 for unknown mode',
+        async () => {
+            // Send request with unsupported mode
+            const response = await request(app)
+                .delete('/api/users/123?mode=archive');
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Mode must be one of: soft, hard.');
+        }
+    );
+
+    // Test invalid id parameter
+    test(
+        'should return 400 for invalid ID format',
+        async () => {
+            // Send request with string ID
+            const response = await request(app).delete('/api/users/abc');
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('User ID must be a positive integer.');
+        }
+    );
+
+    // Test non-existent user
+    test(
+        'should return 404 for non-existent user',
+        async () => {
+            // Hard-delete unknown user
+            const response = await request(app)
+                .delete('/api/users/999999?mode=hard');
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe('User 999999 does not exist.');
+        }
+    );
+});
@@ -0,0 +1,310 @@
+/*
+ * Edit Cost Endpoint Tests
+ * Tests the PATCH /api/costs/:id endpoint including
+ * report cache invalidation and spending limits.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import Report from '../../models/report.model.js';
+import SpendingLimit from '../../models/limit.model.js';
+import editCostRoutes from '../../routes/edit_cost.routes.js';
+
+// App instance for testing
+let app;
+// Cost created before each test
+let cost;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount edit cost routes under /api prefix
+    app.use('/api', editCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await Report.deleteMany({});
+
+    // Create a user with one cost to edit
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+    cost = await Cost.create({
+        description: 'Lnuch',
+        category: 'food',
+        userid: 123,
+        sum: 40,
+        date: new Date()
+    });
+});
+
+describe('PATCH /api/costs/:id', () => {
+    // Test successful partial update
+    test(
+        'should update description and category',
+        async () => {
+            // Fix description typo and category
+            const response = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ description: ' Lunch ', category: 'Health' });
+
+            // Verify updated document is returned
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('description', 'Lunch');
+            expect(response.body).toHaveProperty('category', 'health');
+            // Verify untouched fields are kept
+            expect(response.body).toHaveProperty('sum', 40);
+        }
+    );
+
+    // Test creation rules apply
+    test(
+        'should return 400 for invalid category or sum',
+        async () => {
+            // Send unknown category
+            const badCategory = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ category: 'toys' });
+            expect(badCategory.status).toBe(400);
+            expect(badCategory.body.message)
+                .toContain('not in the list of accepted categories');
+
+            // Send negative sum
+            const badSum = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ sum: -5 });
+            expect(badSum.status).toBe(400);
+            expect(badSum.body.message)
+                .toBe('Sum must be a non-negative finite number.');
+        }
+    );
+
+    // Test past date rejected
+    test(
+        'should return 400 if date is in the past',
+        async () => {
+            // Send past date
+            const response = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ date: '2000-01-01' });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Date cannot be in the past.');
+        }
+    );
+
+    // Test empty date rejected
+    test(
+        'should return 400 for a null or empty date',
+        async () => {
+            // Send null and empty dates
+            const nullDate = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ date: null });
+            const emptyDate = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ date: '' });
+
+            // Verify 400 errors and an unchanged date
+            expect(nullDate.status).toBe(400);
+            expect(nullDate.body.message).toBe('Invalid date format.');
+            expect(emptyDate.status).toBe(400);
+            expect(emptyDate.body.message).toBe('Invalid date format.');
+            expect((await Cost.findById(cost._id)).date)
+                .toEqual(cost.date);
+        }
+    );
+
+    // Test unknown target user
+    test(
+        'should return 400 when moving cost to non-existent user',
+        async () => {
+            // Send unknown userid
+            const response = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ userid: 999 });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('User 999 does not exist.');
+        }
+    );
+
+    // Test cached report invalidation
+    test(
+        'should invalidate the cached report of a past month',
+        async () => {
+            // Insert a past-month cost directly (bypass validation)
+            const pastDate = new Date();
+            pastDate.setMonth(pastDate.getMonth() - 2);
+            const { insertedId } = await Cost.collection.insertOne({
+                description: 'Old expense',
+                category: 'health',
+                userid: 123,
+                sum: 200,
+                date: pastDate
+            });
+            // Cache a report for that month
+            await Report.create({
+                userid: 123,
+                year: pastDate.getFullYear(),
+                month: pastDate.getMonth() + 1,
+                costs: [{ health: [{ sum: 200 }] }]
+            });
+
+            // Correct the sum of the past cost
+            const response = await request(app)
+                .patch(`/api/costs/${insertedId}`)
+                .send({ sum: 150 });
+
+            // Verify update and cache removal
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('sum', 150);
+            expect(await Report.countDocuments({ userid: 123 })).toBe(0);
+        }
+    );
+
+    // Test invalid identifier
+    test(
+        'should return 400 for invalid cost ID',
+        async () => {
+            // Send malformed id
+            const response = await request(app)
+                .patch('/api/costs/not-an-id')
+                .send({ sum: 10 });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Cost ID must be a valid identifier.');
+        }
+    );
+
+    // Test non-existent cost
+    test(
+        'should return 404 for non-existent cost',
+        async () => {
+            // Send update for unknown cost
+            const missingId = new mongoose.Types.ObjectId();
+            const response = await request(app)
+                .patch(`/api/costs/${missingId}`)
+                .send({ sum: 10 });
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe(`Cost ${missingId} does not exist.`);
+        }
+    );
+});
+
+describe('Spending limits in PATCH /api/costs/:id', () => {
+    // Admin token used by the override test
+    const adminToken = 'test-admin-token';
+
+    // Configure the admin token for these tests
+    beforeAll(() => {
+        process.env.ADMIN_TOKEN = adminToken;
+    });
+
+    // Remove the admin token afterwards
+    afterAll(() => {
+        delete process.env.ADMIN_TOKEN;
+    });
+
+    // Cap daily food spending at 60
+    beforeEach(async () => {
+        await SpendingLimit.deleteMany({});
+        await SpendingLimit.create({
+            userid: 123,
+            category: 'food',
+            period: 'daily',
+            amount: 60
+        });
+    });
+
+    // Test edit exceeding the limit
+    test(
+        'should return 403 when the new sum exceeds a limit',
+        async () => {
+            // Raise the sum over the cap
+            const response = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ sum: 70 });
+
+            // Verify 403 error and sum unchanged
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe(
+                "Cost exceeds the daily limit of 60 for category 'food'. " +
+                'Remaining: 60.'
+            );
+            const stored = await Cost.findById(cost._id);
+            expect(stored.toJSON()).toHaveProperty('sum', 40);
+        }
+    );
+
+    // Test admin override
+    test(
+        'should let an admin override the limit',
+        async () => {
+            // Raise the sum over the cap with the admin token
+            const response = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .set('X-Admin-Token', adminToken)
+                .send({ sum: 70, override_limits: true });
+
+            // Verify the change was saved
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('sum', 70);
+        }
+    );
+
+    // Test override without admin token
+    test(
+        'should return 403 for an override without the admin token',
+        async () => {
+            // Request the override as a regular client
+            const response = await request(app)
+                .patch(`/api/costs/${cost._id}`)
+                .send({ sum: 70, override_limits: true });
+
+            // Verify 403 error
+            expect(response.status).toBe(403);
+            expect(response.body.message)
+                .toBe('Admin authorization required.');
+        }
+    );
+});
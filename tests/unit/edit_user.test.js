@@ -0,0 +1,194 @@
+/*
+ * Edit User Endpoint Tests
+ * Tests the PATCH /api/users/:id endpoint for updating users.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import User from '../../models/user.model.js';
+import editUserRoutes from '../../routes/edit_user.routes.js';
+
+// App instance for testing
+let app;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount edit user routes under /api prefix
+    app.use('/api', editUserRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear users collection and create a user to edit
+    await User.deleteMany({});
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+});
+
+describe('PATCH /api/users/:id', () => {
+    // Test successful partial update
+    test(
+        'should update only the provided fields',
+        async () => {
+            // Send a corrected last name only
+            const response = await request(app)
+                .patch('/api/users/123')
+                .send({ last_name: '  Doh  ' });
+
+            // Verify updated document is returned
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('id', 123);
+            expect(response.body).toHaveProperty('first_name', 'John');
+            // Verify the new value was trimmed
+            expect(response.body).toHaveProperty('last_name', 'Doh');
+        }
+    );
+
+    // Test birthday update
+    test(
+        'should update birthday',
+        async () => {
+            // Send a corrected birthday
+            const response = await request(app)
+                .patch('/api/users/123')
+                .send({ birthday: '1991-02-20' });
+
+            // Verify response and persisted value
+            expect(response.status).toBe(200);
+            const savedUser = await User.findOne({ id: 123 });
+            expect(savedUser.birthday.toISOString())
+                .toBe(new Date('1991-02-20').toISOString());
+        }
+    );
+
+    // Test immutable id
+    test(
+        'should return 400 when trying to change the id',
+        async () => {
+            // Send a different id in the body
+            const response = await request(app)
+                .patch('/api/users/123')
+                .send({ id: 456, first_name: 'Jane' });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body).toHaveProperty('id', 400);
+            expect(response.body.message).toBe('User ID cannot be changed.');
+            // Verify nothing was changed
+            const savedUser = await User.findOne({ id: 123 });
+            expect(savedUser.first_name).toBe('John');
+        }
+    );
+
+    // Test empty name
+    test(
+        'should return 400 if first_name is empty string',
+        async () => {
+            // Send whitespace-only first_name
+            const response = await request(app)
+                .patch('/api/users/123')
+                .send({ first_name: '   ' });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('First name cannot be empty.');
+        }
+    );
+
+    // Test future birthday
+    test(
+        'should return 400 if birthday is in the future',
+        async () => {
+            // Build a birthday one year from now
+            const futureDate = new Date();
+            futureDate.setFullYear(futureDate.getFullYear() + 1);
+
+            // Send future birthday
+            const response = await request(app)
+                .patch('/api/users/123')
+                .send({ birthday: futureDate.toISOString() });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Birthday cannot be in the future.');
+        }
+    );
+
+    // Test empty body
+    test(
+        'should return 400 when no updatable fields are provided',
+        async () => {
+            // Send empty body
+            const response = await request(app)
+                .patch('/api/users/123')
+                .send({});
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('No updatable fields provided.');
+        }
+    );
+
+    // Test invalid id parameter
+    test(
+        'should return 400 for invalid ID format',
+        async () => {
+            // Send request with string ID
+            const response = await request(app)
+                .patch('/api/users/abc')
+                .send({ first_name: 'Jane' });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('User ID must be a positive integer.');
+        }
+    );
+
+    // Test non-existent user
+    test(
+        'should return 404 for non-existent user',
+        async () => {
+            // Send update for unknown user
+            const response = await request(app)
+                .patch('/api/users/999999')
+                .send({ first_name: 'Jane' });
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body).toHaveProperty('id', 404);
+            expect(response.body.message)
+                .toBe('User 999999 does not exist.');
+        }
+    );
+});
@@ -0,0 +1,170 @@
+/*
+ * Idempotency Middleware Tests
+ * Tests Idempotency-Key handling on the POST /api/add endpoint.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import IdempotencyKey from '../../models/idempotency.model.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Cost used by most tests
+const costData = {
+    description: 'Groceries',
+    category: 'food',
+    userid: 123,
+    sum: 50
+};
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount add cost routes under /api prefix
+    app.use('/api', addCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await IdempotencyKey.deleteMany({});
+
+    // Create the user costs are added for
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-01')
+    });
+});
+
+describe('Idempotency-Key header', () => {
+    // Test replay of a repeated request
+    test(
+        'should replay the first response without creating a duplicate',
+        async () => {
+            // Send the same request twice with one key
+            const first = await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', 'retry-1')
+                .send(costData);
+            const replay = await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', 'retry-1')
+                .send(costData);
+
+            // Verify identical responses
+            expect(first.status).toBe(201);
+            expect(replay.status).toBe(201);
+            expect(replay.body).toEqual(first.body);
+            expect(replay.headers['idempotent-replayed']).toBe('true');
+            // Verify only one cost was written
+            expect(await Cost.countDocuments({})).toBe(1);
+        }
+    );
+
+    // Test key reuse with a different body
+    test(
+        'should return 422 when the key is reused with a different body',
+        async () => {
+            // Use the key once, then with another sum
+            await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', 'retry-2')
+                .send(costData);
+            const response = await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', 'retry-2')
+                .send({ ...costData, sum: 60 });
+
+            // Verify 422 error and no second write
+            expect(response.status).toBe(422);
+            expect(response.body.message).toBe(
+                'Idempotency-Key was already used for a different request.'
+            );
+            expect(await Cost.countDocuments({})).toBe(1);
+        }
+    );
+
+    // Test replay of an error response
+    test(
+        'should replay stored client error responses',
+        async () => {
+            // Send an invalid cost twice with one key
+            const invalid = { ...costData, category: 'unknown' };
+            const first = await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', 'retry-3')
+                .send(invalid);
+            const replay = await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', 'retry-3')
+                .send(invalid);
+
+            // Verify the 400 response was replayed
+            expect(first.status).toBe(400);
+            expect(replay.status).toBe(400);
+            expect(replay.body).toEqual(first.body);
+        }
+    );
+
+    // Test requests without a key
+    test(
+        'should not deduplicate requests without a key',
+        async () => {
+            // Send the same request twice without a key
+            await request(app).post('/api/add').send(costData);
+            await request(app).post('/api/add').send(costData);
+
+            // Verify both costs were written
+            expect(await Cost.countDocuments({})).toBe(2);
+        }
+    );
+
+    // Test empty key
+    test(
+        'should return 400 for an empty key',
+        async () => {
+            // Send request with a blank key
+            const response = await request(app)
+                .post('/api/add')
+                .set('Idempotency-Key', ' ')
+                .send(costData);
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe(
+                'Idempotency-Key must be a non-empty string ' +
+                'of at most 255 characters.'
+            );
+        }
+    );
+});
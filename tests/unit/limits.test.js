@@ -0,0 +1,288 @@
+/*
+ * Spending Limit Tests
+ * Tests the POST/GET /api/limits endpoints and limit enforcement
+ * in POST /api/add, including the admin override.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import SpendingLimit from '../../models/limit.model.js';
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import limitRoutes from '../../routes/limit.routes.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Admin token used by the override tests
+const adminToken = 'test-admin-token';
+
+// Future date so costs pass the past-date validation
+const costDate = new Date(new Date().getFullYear() + 1, 0, 7, 12);
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Configure the admin token for these tests
+    process.env.ADMIN_TOKEN = adminToken;
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount limit and cost routes under /api prefix
+    app.use('/api', limitRoutes);
+    app.use('/api', addCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Remove the admin token
+    delete process.env.ADMIN_TOKEN;
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await SpendingLimit.deleteMany({});
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+
+    // Create test user
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('2014-01-15')
+    });
+});
+
+/*
+ * Posts a sports cost of the given sum on the test date.
+ */
+function addCost(sum) {
+    return request(app)
+        .post('/api/add')
+        .send({
+            description: 'Football cards',
+            category: 'sports',
+            userid: 123,
+            sum,
+            date: costDate.toISOString()
+        });
+}
+
+describe('POST /api/limits', () => {
+    // Test limit creation
+    test(
+        'should set a limit for a category and period',
+        async () => {
+            // Set a weekly sports limit
+            const response = await request(app)
+                .post('/api/limits')
+                .set('X-Admin-Token', adminToken)
+                .send({
+                    userid: 123,
+                    category: 'Sports',
+                    period: 'weekly',
+                    amount: 50
+                });
+
+            // Verify stored limit
+            expect(response.status).toBe(201);
+            expect(response.body).toMatchObject({
+                userid: 123,
+                category: 'sports',
+                period: 'weekly',
+                amount: 50
+            });
+        }
+    );
+
+    // Test invalid period
+    test(
+        'should return 400 for an unknown period',
+        async () => {
+            // Set a yearly limit
+            const response = await request(app)
+                .post('/api/limits')
+                .set('X-Admin-Token', adminToken)
+                .send({
+                    userid: 123,
+                    category: 'sports',
+                    period: 'yearly',
+                    amount: 50
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Period must be one of: daily, weekly, monthly.');
+        }
+    );
+
+    // Test limit without admin token
+    test(
+        'should return 403 without the admin token',
+        async () => {
+            // Try to raise a limit as a regular client
+            const response = await request(app)
+                .post('/api/limits')
+                .send({
+                    userid: 123,
+                    category: 'sports',
+                    period: 'weekly',
+                    amount: 5000
+                });
+
+            // Verify 403 error and nothing stored
+            expect(response.status).toBe(403);
+            expect(response.body.message)
+                .toBe('Admin authorization required.');
+            expect(await SpendingLimit.countDocuments()).toBe(0);
+        }
+    );
+
+    // Test limit listing
+    test(
+        'should list the limits of a user',
+        async () => {
+            // Set daily and monthly limits
+            await SpendingLimit.create([
+                {
+                    userid: 123,
+                    category: 'sports',
+                    period: 'daily',
+                    amount: 10
+                },
+                {
+                    userid: 123,
+                    category: 'sports',
+                    period: 'monthly',
+                    amount: 100
+                }
+            ]);
+            const response = await request(app)
+                .get('/api/limits?userid=123');
+
+            // Verify both limits
+            expect(response.status).toBe(200);
+            expect(response.body.map(limit => limit.period))
+                .toEqual(['daily', 'monthly']);
+        }
+    );
+});
+
+describe('Limit enforcement in POST /api/add', () => {
+    // Set a daily sports limit of 50 before each test
+    beforeEach(async () => {
+        await SpendingLimit.create({
+            userid: 123,
+            category: 'sports',
+            period: 'daily',
+            amount: 50
+        });
+    });
+
+    // Test cost within the limit
+    test(
+        'should save costs up to the limit',
+        async () => {
+            // Spend exactly the limit
+            const first = await addCost(30);
+            const second = await addCost(20);
+
+            // Verify both costs were saved
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(201);
+            expect(await Cost.countDocuments()).toBe(2);
+        }
+    );
+
+    // Test cost exceeding the limit
+    test(
+        'should reject a cost exceeding the limit',
+        async () => {
+            // Spend 30, then try to spend 25 more
+            await addCost(30);
+            const response = await addCost(25);
+
+            // Verify 403 error with the amount left
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe(
+                'Cost exceeds the daily limit of 50 for category ' +
+                "'sports'. Remaining: 20."
+            );
+            expect(response.body.limit).toEqual({
+                category: 'sports',
+                period: 'daily',
+                amount: 50,
+                remaining: 20
+            });
+
+            // Verify the rejected cost was not saved
+            expect(await Cost.countDocuments()).toBe(1);
+        }
+    );
+
+    // Test admin override
+    test(
+        'should save a cost exceeding the limit with an admin override',
+        async () => {
+            // Exceed the limit as an admin
+            const response = await request(app)
+                .post('/api/add')
+                .set('X-Admin-Token', adminToken)
+                .send({
+                    description: 'Football',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 80,
+                    date: costDate.toISOString(),
+                    override_limits: true
+                });
+
+            // Verify cost was saved
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveProperty('sum', 80);
+        }
+    );
+
+    // Test override without admin token
+    test(
+        'should return 403 for an override without the admin token',
+        async () => {
+            // Request an override without the token
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Football',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 80,
+                    date: costDate.toISOString(),
+                    override_limits: true
+                });
+
+            // Verify 403 error
+            expect(response.status).toBe(403);
+            expect(response.body.message)
+                .toBe('Admin authorization required.');
+        }
+    );
+});
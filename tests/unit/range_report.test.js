@@ -0,0 +1,191 @@
+/*
+ * Range Report Tests
+ * Tests the GET /api/report/range endpoint for reports between
+ * any two dates.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import rangeReportRoutes from '../../routes/range_report.routes.js';
+
+// App instance for testing
+let app;
+
+// Future year so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount range report routes under /api prefix
+    app.use('/api', rangeReportRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+
+    // Create the user
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+
+    // A trip from January 20th to February 5th, plus costs around it
+    await Cost.create([
+        {
+            description: 'Before the trip',
+            category: 'food',
+            userid: 123,
+            sum: 5,
+            date: new Date(nextYear, 0, 19, 23, 59)
+        },
+        {
+            description: 'Hotel dinner',
+            category: 'food',
+            userid: 123,
+            sum: 40.1,
+            date: new Date(nextYear, 0, 25, 20)
+        },
+        {
+            description: 'Airport snack',
+            category: 'food',
+            userid: 123,
+            sum: 9.9,
+            date: new Date(nextYear, 0, 20, 8)
+        },
+        {
+            description: 'Ski pass',
+            category: 'sports',
+            userid: 123,
+            sum: 120,
+            date: new Date(nextYear, 1, 5, 18)
+        },
+        {
+            description: 'After the trip',
+            category: 'sports',
+            userid: 123,
+            sum: 15,
+            date: new Date(nextYear, 1, 6)
+        }
+    ]);
+});
+
+/*
+ * Returns the items of a category in a report.
+ */
+function itemsOf(report, category) {
+    return report.costs.find(entry => category in entry)[category];
+}
+
+describe('GET /api/report/range', () => {
+    // Test report across two months
+    test(
+        'should group the range costs by category with totals',
+        async () => {
+            const response = await request(app).get(
+                `/api/report/range?id=123&from=${nextYear}-01-20` +
+                `&to=${nextYear}-02-05`
+            );
+
+            // Verify items in date order with full dates
+            expect(response.status).toBe(200);
+            expect(response.body.userid).toBe(123);
+            expect(itemsOf(response.body, 'food')
+                .map(item => item.description))
+                .toEqual(['Airport snack', 'Hotel dinner']);
+            expect(itemsOf(response.body, 'food')[0].date).toBe(
+                new Date(nextYear, 0, 20, 8).toISOString()
+            );
+            // The whole last day is included
+            expect(itemsOf(response.body, 'sports')
+                .map(item => item.description))
+                .toEqual(['Ski pass']);
+
+            // Verify category and overall totals
+            expect(response.body.categories).toEqual(
+                expect.arrayContaining([
+                    { category: 'food', total: 50 },
+                    { category: 'sports', total: 120 },
+                    { category: 'health', total: 0 }
+                ])
+            );
+            expect(response.body.total).toBe(170);
+        }
+    );
+
+    // Test reversed range
+    test('should return 400 when from is after to', async () => {
+        const response = await request(app).get(
+            `/api/report/range?id=123&from=${nextYear}-02-05` +
+            `&to=${nextYear}-01-20`
+        );
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message)
+            .toBe('From date must not be after to date.');
+    });
+
+    // Test invalid date
+    test('should return 400 for an invalid date', async () => {
+        const response = await request(app).get(
+            `/api/report/range?id=123&from=${nextYear}-02-30` +
+            `&to=${nextYear}-03-05`
+        );
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Invalid date range format.');
+    });
+
+    // Test missing boundary
+    test('should return 400 when to is missing', async () => {
+        const response = await request(app)
+            .get(`/api/report/range?id=123&from=${nextYear}-01-20`);
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Missing required fields.');
+    });
+
+    // Test unknown user
+    test('should return 400 for a non-existent user', async () => {
+        const response = await request(app).get(
+            `/api/report/range?id=999&from=${nextYear}-01-20` +
+            `&to=${nextYear}-02-05`
+        );
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('User 999 does not exist.');
+    });
+});
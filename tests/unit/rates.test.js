@@ -0,0 +1,317 @@
+/*
+ * Exchange Rate Tests
+ * Tests the POST/GET /api/rates endpoints and currency conversion
+ * in GET /api/report and GET /api/users/:id, and the rate check
+ * on POST /api/add.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Rate from '../../models/rate.model.js';
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import Report from '../../models/report.model.js';
+import rateRoutes from '../../routes/rate.routes.js';
+import reportRoutes from '../../routes/report.routes.js';
+import userRoutes from '../../routes/user.routes.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Future base date so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Use a fixed base currency for predictable conversions
+    process.env.BASE_CURRENCY = 'ILS';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount rate, report, user and add routes under /api prefix
+    app.use('/api', rateRoutes);
+    app.use('/api', reportRoutes);
+    app.use('/api', userRoutes);
+    app.use('/api', addCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Rate.deleteMany({});
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await Report.deleteMany({});
+
+    // Create a user with one ILS and one USD cost
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+    await Cost.create([
+        {
+            description: 'Falafel',
+            category: 'food',
+            userid: 123,
+            sum: 30,
+            date: new Date(nextYear, 0, 10)
+        },
+        {
+            description: 'Burger',
+            category: 'food',
+            userid: 123,
+            sum: 10,
+            currency: 'USD',
+            date: new Date(nextYear, 0, 12)
+        }
+    ]);
+});
+
+describe('POST /api/rates', () => {
+    // Test rate upload
+    test(
+        'should store a rate against the base currency',
+        async () => {
+            // Upload a USD rate
+            const response = await request(app)
+                .post('/api/rates')
+                .send({ currency: 'usd', rate: 3.7, date: '2025-01-01' });
+
+            // Verify stored rate
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveProperty('currency', 'USD');
+            expect(response.body).toHaveProperty('rate', 3.7);
+        }
+    );
+
+    // Test base currency rate
+    test(
+        'should return 400 for a rate of the base currency',
+        async () => {
+            // Upload a rate for ILS
+            const response = await request(app)
+                .post('/api/rates')
+                .send({ currency: 'ILS', rate: 1 });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('The base currency ILS cannot have an exchange rate.');
+        }
+    );
+
+    // Test rate listing
+    test(
+        'should list rates newest first',
+        async () => {
+            // Upload two USD rates
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'USD', rate: 3.6, date: '2025-01-01' });
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'USD', rate: 3.7, date: '2025-06-01' });
+            const response = await request(app)
+                .get('/api/rates?currency=usd');
+
+            // Verify order
+            expect(response.status).toBe(200);
+            expect(response.body.map(rate => rate.rate)).toEqual([3.7, 3.6]);
+        }
+    );
+
+    // Test cache invalidation
+    test(
+        'should remove cached reports from the rate month onward',
+        async () => {
+            // Cache reports before and after the rate date
+            await Report.create([
+                { userid: 123, year: 2024, month: 12, costs: [] },
+                { userid: 123, year: 2025, month: 3, costs: [] }
+            ]);
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'USD', rate: 3.7, date: '2025-01-15' });
+
+            // Verify only the earlier report is kept
+            const reports = await Report.find({}).lean();
+            expect(reports.map(report => report.year)).toEqual([2024]);
+        }
+    );
+});
+
+describe('Currency conversion', () => {
+    // Test report in base currency
+    test(
+        'should convert foreign costs in the report to the base currency',
+        async () => {
+            // Upload the USD rate in effect in January
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'USD', rate: 3.7, date: '2025-01-01' });
+            const response = await request(app)
+                .get(`/api/report?userid=123&year=${nextYear}&month=1`);
+
+            // Verify converted item keeps its original amount
+            expect(response.status).toBe(200);
+            const foodObj = response.body.costs.find(
+                cat => Object.hasOwn(cat, 'food')
+            );
+            expect(foodObj.food).toEqual([
+                { sum: 30, description: 'Falafel', day: 10 },
+                {
+                    sum: 37,
+                    description: 'Burger',
+                    day: 12,
+                    original_sum: 10,
+                    original_currency: 'USD'
+                }
+            ]);
+        }
+    );
+
+    // Test report in a requested currency
+    test(
+        'should convert the report to the requested currency',
+        async () => {
+            // Upload the USD rate, then request a USD report
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'USD', rate: 4, date: '2025-01-01' });
+            const response = await request(app).get(
+                `/api/report?userid=123&year=${nextYear}&month=1` +
+                '&currency=USD'
+            );
+
+            // Verify ILS item was converted and USD item kept
+            expect(response.status).toBe(200);
+            const foodObj = response.body.costs.find(
+                cat => Object.hasOwn(cat, 'food')
+            );
+            expect(foodObj.food).toEqual([
+                {
+                    sum: 7.5,
+                    description: 'Falafel',
+                    day: 10,
+                    original_sum: 30,
+                    original_currency: 'ILS'
+                },
+                { sum: 10, description: 'Burger', day: 12 }
+            ]);
+        }
+    );
+
+    // Test missing rate
+    test(
+        'should return 400 when no rate is in effect',
+        async () => {
+            // Request report without any uploaded rate
+            const response = await request(app)
+                .get(`/api/report?userid=123&year=${nextYear}&month=1`);
+
+            // Verify 400 error naming the missing conversion
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toMatch(/^No exchange rate from USD to ILS on /);
+        }
+    );
+
+    // Test user summary in a requested currency
+    test(
+        'should total user costs in the requested currency',
+        async () => {
+            // Upload the USD rate, then request a USD summary
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'USD', rate: 4, date: '2025-01-01' });
+            const response = await request(app)
+                .get('/api/users/123?currency=USD');
+
+            // Verify total (30 ILS = 7.5 USD, plus 10 USD)
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('total', 17.5);
+        }
+    );
+});
+
+describe('Rate check on new costs', () => {
+    // Test foreign cost without a rate
+    test(
+        'should return 400 for a currency without a rate on the date',
+        async () => {
+            // Only a rate that takes effect after the cost
+            await request(app)
+                .post('/api/rates')
+                .send({
+                    currency: 'EUR',
+                    rate: 4,
+                    date: `${nextYear + 1}-01-01`
+                });
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Pizza',
+                    category: 'food',
+                    userid: 123,
+                    sum: 12,
+                    currency: 'EUR',
+                    date: `${nextYear}-03-01`
+                });
+
+            // Verify 400 error naming the missing conversion
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe(
+                `No exchange rate from EUR to ILS on ${nextYear}-03-01.`
+            );
+        }
+    );
+
+    // Test foreign cost with a rate in effect
+    test(
+        'should add a foreign cost once a rate is in effect',
+        async () => {
+            // Upload a rate in effect before the cost
+            await request(app)
+                .post('/api/rates')
+                .send({ currency: 'EUR', rate: 4, date: '2025-01-01' });
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Pizza',
+                    category: 'food',
+                    userid: 123,
+                    sum: 12,
+                    currency: 'EUR',
+                    date: `${nextYear}-03-01`
+                });
+
+            // Verify the cost keeps its currency
+            expect(response.status).toBe(201);
+            expect(response.body).toHaveProperty('currency', 'EUR');
+        }
+    );
+});
@@ -0,0 +1,265 @@
+/*
+ * Recurring Cost Tests
+ * Tests the POST/GET/DELETE /api/recurring endpoints and the
+ * scheduler creating costs from recurring definitions.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+import { materializeRecurringCosts } from '../../utils/recurring.js';
+
+// Import models and routes to test
+import RecurringCost from '../../models/recurring.model.js';
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import recurringRoutes from '../../routes/recurring.routes.js';
+
+// App instance for testing
+let app;
+
+// Local midnight of today
+const today = new Date();
+today.setHours(0, 0, 0, 0);
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+    // Build the unique recurring index before the tests rely on it
+    await Cost.init();
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount recurring routes under /api prefix
+    app.use('/api', recurringRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await RecurringCost.deleteMany({});
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+
+    // Create test user
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+});
+
+describe('POST /api/recurring', () => {
+    // Test definition creation
+    test(
+        'should create a recurring cost definition',
+        async () => {
+            // Monthly rent on the 1st, starting next year
+            const start = new Date(today.getFullYear() + 1, 0, 1);
+            const response = await request(app)
+                .post('/api/recurring')
+                .send({
+                    description: 'Rent',
+                    category: 'housing',
+                    userid: 123,
+                    sum: 4500,
+                    schedule: { frequency: 'monthly', day: 1 },
+                    start_date: start.toISOString()
+                });
+
+            // Verify stored definition
+            expect(response.status).toBe(201);
+            expect(response.body).toMatchObject({
+                description: 'Rent',
+                category: 'housing',
+                userid: 123,
+                sum: 4500,
+                schedule: { frequency: 'monthly', day: 1 },
+                end_date: null
+            });
+
+            // Verify nothing is due yet
+            expect(await Cost.countDocuments()).toBe(0);
+        }
+    );
+
+    // Test cost due today
+    test(
+        'should create the cost due today right away',
+        async () => {
+            // Monthly cost on today's day of month
+            const response = await request(app)
+                .post('/api/recurring')
+                .send({
+                    description: 'Gym',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 180,
+                    schedule: { frequency: 'monthly', day: today.getDate() }
+                });
+
+            // Verify today's cost was created
+            expect(response.status).toBe(201);
+            const costs = await Cost.find({}).lean();
+            expect(costs).toHaveLength(1);
+            expect(costs[0].date).toEqual(today);
+            expect(String(costs[0].recurring_id)).toBe(response.body._id);
+        }
+    );
+
+    // Test invalid schedule
+    test(
+        'should return 400 for an invalid schedule',
+        async () => {
+            // Weekly schedule on day 8
+            const response = await request(app)
+                .post('/api/recurring')
+                .send({
+                    description: 'Gym',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 180,
+                    schedule: { frequency: 'weekly', day: 8 }
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toMatch(/^Schedule must have/);
+        }
+    );
+
+    // Test past start date
+    test(
+        'should return 400 for a start date in the past',
+        async () => {
+            // Start last year
+            const response = await request(app)
+                .post('/api/recurring')
+                .send({
+                    description: 'Rent',
+                    category: 'housing',
+                    userid: 123,
+                    sum: 4500,
+                    schedule: { frequency: 'monthly', day: 1 },
+                    start_date: '2020-01-01'
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Start date cannot be in the past.');
+        }
+    );
+});
+
+describe('Recurring cost scheduler', () => {
+    // Definition started on the 2nd three months ago, never run since
+    beforeEach(async () => {
+        await RecurringCost.create({
+            description: 'Rent',
+            category: 'housing',
+            userid: 123,
+            sum: 4500,
+            schedule: { frequency: 'monthly', day: 1 },
+            start_date: new Date(
+                today.getFullYear(),
+                today.getMonth() - 3,
+                2
+            )
+        });
+    });
+
+    // Test catch-up of missed runs
+    test(
+        'should create every cost missed since the last run',
+        async () => {
+            // Run the scheduler
+            const created = await materializeRecurringCosts();
+
+            // Verify one rent per month start since the start date
+            expect(created).toBe(3);
+            expect(await Cost.countDocuments({ description: 'Rent' }))
+                .toBe(3);
+        }
+    );
+
+    // Test repeated runs
+    test(
+        'should never create duplicates after a restart',
+        async () => {
+            // Run, forget the progress (e.g. a crash), then run again
+            await materializeRecurringCosts();
+            await RecurringCost.updateMany(
+                {},
+                { $set: { materialized_through: null } }
+            );
+            const created = await materializeRecurringCosts();
+
+            // Verify no cost was created twice
+            expect(created).toBe(0);
+            expect(await Cost.countDocuments()).toBe(3);
+        }
+    );
+});
+
+describe('GET and DELETE /api/recurring', () => {
+    // Test listing and deletion
+    test(
+        'should list and delete definitions, keeping created costs',
+        async () => {
+            // Create a definition due today
+            const created = await request(app)
+                .post('/api/recurring')
+                .send({
+                    description: 'Gym',
+                    category: 'sports',
+                    userid: 123,
+                    sum: 180,
+                    schedule: { frequency: 'monthly', day: today.getDate() }
+                });
+            const listed = await request(app)
+                .get('/api/recurring?userid=123');
+            const deleted = await request(app)
+                .delete(`/api/recurring/${created.body._id}`);
+
+            // Verify list, deletion and kept cost
+            expect(listed.body).toHaveLength(1);
+            expect(deleted.status).toBe(200);
+            expect(await RecurringCost.countDocuments()).toBe(0);
+            expect(await Cost.countDocuments()).toBe(1);
+        }
+    );
+
+    // Test unknown definition
+    test(
+        'should return 404 for a non-existent definition',
+        async () => {
+            // Delete an unknown identifier
+            const id = new mongoose.Types.ObjectId();
+            const response = await request(app)
+                .delete(`/api/recurring/${id}`);
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe(`Recurring cost ${id} does not exist.`);
+        }
+    );
+});
@@ -1,7 +1,7 @@
 /*
  * Report Endpoint Tests
  * Tests the GET /api/report endpoint including
- * Computed Design Pattern caching.
+ * Computed Design Pattern caching, and GET /api/report/compare.
  */
 
 // Import testing utilities
@@ -790,3 +790,311 @@ describe('GET /api/report', () => {
         }
     );
 });
+
+describe('GET /api/report?summary=true', () => {
+    // Future month so costs pass the past-date validation
+    const year = new Date().getFullYear() + 1;
+    const month = 3;
+
+    // Create a user with costs in the month
+    beforeEach(async () => {
+        await User.create({
+            id: 123,
+            first_name: 'John',
+            last_name: 'Doe',
+            birthday: new Date('1990-01-01')
+        });
+        await Cost.create([
+            {
+                description: 'Pizza',
+                category: 'food',
+                userid: 123,
+                sum: 50,
+                date: new Date(year, month - 1, 5)
+            },
+            {
+                description: 'Groceries',
+                category: 'food',
+                userid: 123,
+                sum: 0.1,
+                date: new Date(year, month - 1, 6)
+            },
+            {
+                description: 'Gym',
+                category: 'sports',
+                userid: 123,
+                sum: 100,
+                date: new Date(year, month - 1, 7)
+            }
+        ]);
+    });
+
+    // Test statistics per category
+    test(
+        'should add totals, counts, averages, maxima and shares',
+        async () => {
+            const response = await request(app).get(
+                `/api/report?userid=123&year=${year}&month=${month}` +
+                '&summary=true'
+            );
+
+            // Verify per-category statistics
+            expect(response.status).toBe(200);
+            const { categories, total, count } = response.body.summary;
+
+            expect(categories).toEqual(expect.arrayContaining([
+                {
+                    category: 'food',
+                    total: 50.1,
+                    count: 2,
+                    average: 25.05,
+                    max: 50,
+                    share: 33.38
+                },
+                {
+                    category: 'sports',
+                    total: 100,
+                    count: 1,
+                    average: 100,
+                    max: 100,
+                    share: 66.62
+                },
+                {
+                    category: 'health',
+                    total: 0,
+                    count: 0,
+                    average: 0,
+                    max: 0,
+                    share: 0
+                }
+            ]));
+            // Verify grand total and count
+            expect(total).toBe(150.1);
+            expect(count).toBe(3);
+        }
+    );
+
+    // Test default format is unchanged
+    test('should not add a summary by default', async () => {
+        const withFlag = await request(app).get(
+            `/api/report?userid=123&year=${year}&month=${month}` +
+            '&summary=false'
+        );
+        const withoutFlag = await request(app).get(
+            `/api/report?userid=123&year=${year}&month=${month}`
+        );
+
+        // Verify identical output without a summary
+        expect(withoutFlag.status).toBe(200);
+        expect(withoutFlag.body).not.toHaveProperty('summary');
+        expect(withoutFlag.text).toBe(withFlag.text);
+    });
+
+    // Test invalid flag
+    test('should return 400 for an invalid summary flag', async () => {
+        const response = await request(app).get(
+            `/api/report?userid=123&year=${year}&month=${month}` +
+            '&summary=yes'
+        );
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message)
+            .toBe('Summary must be true or false.');
+    });
+});
+
+describe('GET /api/report item order', () => {
+    // Test items sorted by date within each category
+    test(
+        'should list the items of each category in date order',
+        async () => {
+            // Future month so costs pass the past-date validation
+            const year = new Date().getFullYear() + 1;
+
+            await User.create({
+                id: 123,
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: new Date('1990-01-01')
+            });
+            // Insert costs out of date order
+            await Cost.create([
+                {
+                    description: 'Late dinner',
+                    category: 'food',
+                    userid: 123,
+                    sum: 30,
+                    date: new Date(year, 4, 20)
+                },
+                {
+                    description: 'Breakfast',
+                    category: 'food',
+                    userid: 123,
+                    sum: 10,
+                    date: new Date(year, 4, 2)
+                },
+                {
+                    description: 'Lunch',
+                    category: 'food',
+                    userid: 123,
+                    sum: 20,
+                    date: new Date(year, 4, 11)
+                }
+            ]);
+
+            const response = await request(app)
+                .get(`/api/report?userid=123&year=${year}&month=5`);
+
+            // Verify items by date with their days
+            expect(response.status).toBe(200);
+            const food = response.body.costs
+                .find(entry => 'food' in entry).food;
+
+            expect(food.map(item => item.description))
+                .toEqual(['Breakfast', 'Lunch', 'Late dinner']);
+            expect(food.map(item => item.day)).toEqual([2, 11, 20]);
+        }
+    );
+
+    // Test the index backing the report query
+    test('should index costs by user and date', () => {
+        // Verify the compound index is declared on the schema
+        const indexes = Cost.schema.indexes().map(([fields]) => fields);
+
+        expect(indexes).toContainEqual({ userid: 1, date: 1 });
+    });
+});
+
+describe('GET /api/report/compare', () => {
+    // A past month, so all three compared months are cached
+    const year = new Date().getFullYear() - 1;
+    const month = 6;
+
+    // Create a user with costs in the three compared months
+    beforeEach(async () => {
+        await User.create({
+            id: 123,
+            first_name: 'John',
+            last_name: 'Doe',
+            birthday: new Date('1990-01-01')
+        });
+        // Past-dated costs (bypass validation using direct insertion)
+        await Cost.collection.insertMany([
+            {
+                description: 'Groceries',
+                category: 'food',
+                userid: 123,
+                sum: 150,
+                date: new Date(year, month - 1, 10)
+            },
+            {
+                description: 'Gym',
+                category: 'sports',
+                userid: 123,
+                sum: 50,
+                date: new Date(year, month - 1, 12)
+            },
+            {
+                description: 'Groceries',
+                category: 'food',
+                userid: 123,
+                sum: 100,
+                date: new Date(year, month - 2, 10)
+            },
+            {
+                description: 'Groceries',
+                category: 'food',
+                userid: 123,
+                sum: 120,
+                date: new Date(year - 1, month - 1, 10)
+            }
+        ]);
+    });
+
+    // Test absolute and percent changes
+    test(
+        'should compare with the previous month and last year',
+        async () => {
+            const response = await request(app).get(
+                `/api/report/compare?id=123&year=${year}&month=${month}`
+            );
+
+            // Verify compared periods
+            expect(response.status).toBe(200);
+            expect(response.body.periods).toEqual({
+                current: { year, month },
+                previous: { year, month: month - 1 },
+                last_year: { year: year - 1, month }
+            });
+
+            // Verify category changes
+            const food = response.body.categories
+                .find(entry => entry.category === 'food');
+            const sports = response.body.categories
+                .find(entry => entry.category === 'sports');
+
+            expect(food).toEqual({
+                category: 'food',
+                current: 150,
+                previous: 100,
+                last_year: 120,
+                vs_previous: { change: 50, percent: 50 },
+                vs_last_year: { change: 30, percent: 25 }
+            });
+            // No earlier spending: no percent change
+            expect(sports.vs_previous).toEqual({ change: 50, percent: null });
+
+            // Verify overall changes
+            expect(response.body.total.current).toBe(200);
+            expect(response.body.total.vs_previous)
+                .toEqual({ change: 100, percent: 100 });
+            expect(response.body.total.vs_last_year)
+                .toEqual({ change: 80, percent: 66.67 });
+        }
+    );
+
+    // Test reuse of cached reports
+    test('should reuse cached reports of past months', async () => {
+        // Cache a report of the previous month
+        await Report.create({
+            userid: 123,
+            year,
+            month: month - 1,
+            costs: [
+                { food: [{ sum: 90, description: 'Cached', day: 1 }] }
+            ]
+        });
+
+        const response = await request(app).get(
+            `/api/report/compare?id=123&year=${year}&month=${month}`
+        );
+
+        // Verify the cached month was used and the others were cached
+        expect(response.status).toBe(200);
+        expect(response.body.total.previous).toBe(90);
+        expect(await Report.countDocuments({ userid: 123 })).toBe(3);
+    });
+
+    // Test January comparing with December
+    test('should compare January with December', async () => {
+        const response = await request(app)
+            .get(`/api/report/compare?id=123&year=${year}&month=1`);
+
+        // Verify the previous month is in the year before
+        expect(response.status).toBe(200);
+        expect(response.body.periods.previous)
+            .toEqual({ year: year - 1, month: 12 });
+    });
+
+    // Test unknown user
+    test('should return 400 for a non-existent user', async () => {
+        const response = await request(app).get(
+            `/api/report/compare?id=999&year=${year}&month=${month}`
+        );
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('User 999 does not exist.');
+    });
+});
@@ -0,0 +1,266 @@
+/*
+ * Settlement Tests
+ * Tests costs paid on another user's behalf (paid_by), the
+ * GET /api/balances endpoint and POST /api/settlements.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import Settlement from '../../models/settlement.model.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+import settlementRoutes from '../../routes/settlement.routes.js';
+
+// App instance for testing
+let app;
+
+// Future date so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+const costDate = new Date(nextYear, 4, 10, 12).toISOString();
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount cost and settlement routes under /api prefix
+    app.use('/api', addCostRoutes);
+    app.use('/api', settlementRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await Settlement.deleteMany({});
+
+    // Create the three flatmates
+    await User.create([
+        {
+            id: 123,
+            first_name: 'John',
+            last_name: 'Doe',
+            birthday: new Date('1990-01-15')
+        },
+        {
+            id: 456,
+            first_name: 'Jane',
+            last_name: 'Roe',
+            birthday: new Date('1991-02-16')
+        },
+        {
+            id: 789,
+            first_name: 'Sam',
+            last_name: 'Poe',
+            birthday: new Date('1992-03-17')
+        }
+    ]);
+});
+
+/*
+ * Posts a cost of the user paid by another user.
+ */
+function addPaidCost(userid, paidBy, sum) {
+    return request(app)
+        .post('/api/add')
+        .send({
+            description: 'Groceries',
+            category: 'food',
+            userid,
+            paid_by: paidBy,
+            sum,
+            date: costDate
+        });
+}
+
+describe('POST /api/add with paid_by', () => {
+    // Test storing the payer
+    test('should store the user who paid the cost', async () => {
+        // Add a cost of 456 paid by 123
+        const response = await addPaidCost(456, 123, 40);
+
+        // Verify payer is stored
+        expect(response.status).toBe(201);
+        expect(response.body.userid).toBe(456);
+        expect(response.body.paid_by).toBe(123);
+    });
+
+    // Test unknown payer
+    test('should return 400 for a non-existent payer', async () => {
+        // Add a cost paid by an unknown user
+        const response = await addPaidCost(456, 999, 40);
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('User 999 does not exist.');
+    });
+
+    // Test invalid payer
+    test('should return 400 for an invalid payer', async () => {
+        // Add a cost paid by a non-integer user ID
+        const response = await addPaidCost(456, 'abc', 40);
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message)
+            .toBe('Paid by must be a positive integer user ID.');
+    });
+});
+
+describe('GET /api/balances', () => {
+    // Test balances, debts and transfers
+    test(
+        'should net debts and suggest the fewest transfers',
+        async () => {
+            // 456 owes 123 40, 789 owes 123 30, 123 owes 789 10
+            await addPaidCost(456, 123, 40);
+            await addPaidCost(789, 123, 30);
+            await addPaidCost(123, 789, 10);
+            // Own costs do not affect balances
+            await addPaidCost(456, 456, 100);
+
+            const response = await request(app)
+                .get('/api/balances?users=123,456,789');
+
+            // Verify balances and pairwise debts
+            expect(response.status).toBe(200);
+            expect(response.body.balances).toEqual([
+                { userid: 123, balance: 60 },
+                { userid: 456, balance: -40 },
+                { userid: 789, balance: -20 }
+            ]);
+            expect(response.body.debts).toEqual(expect.arrayContaining([
+                { from: 456, to: 123, amount: 40 },
+                { from: 789, to: 123, amount: 20 }
+            ]));
+            expect(response.body.debts).toHaveLength(2);
+            // Verify transfers settle every balance
+            expect(response.body.transfers).toEqual([
+                { from: 456, to: 123, amount: 40 },
+                { from: 789, to: 123, amount: 20 }
+            ]);
+        }
+    );
+
+    // Test chains collapsing into fewer transfers
+    test('should settle a chain of debts directly', async () => {
+        // 456 owes 123 25 and 789 owes 456 25
+        await addPaidCost(456, 123, 25);
+        await addPaidCost(789, 456, 25);
+
+        const response = await request(app)
+            .get('/api/balances?users=123,456,789');
+
+        // Verify 789 pays 123 and 456 is even
+        expect(response.status).toBe(200);
+        expect(response.body.transfers).toEqual([
+            { from: 789, to: 123, amount: 25 }
+        ]);
+    });
+
+    // Test settlement reducing debts
+    test('should account for recorded settlements', async () => {
+        // 456 owes 123 40 and pays back 15
+        await addPaidCost(456, 123, 40);
+        const settlement = await request(app)
+            .post('/api/settlements')
+            .send({ from: 456, to: 123, amount: 15 });
+
+        const response = await request(app)
+            .get('/api/balances?users=123,456');
+
+        // Verify the remaining debt
+        expect(settlement.status).toBe(201);
+        expect(settlement.body.amount).toBe(15);
+        expect(response.status).toBe(200);
+        expect(response.body.transfers).toEqual([
+            { from: 456, to: 123, amount: 25 }
+        ]);
+    });
+
+    // Test invalid user list
+    test('should return 400 for fewer than two users', async () => {
+        // Query a single user
+        const response = await request(app)
+            .get('/api/balances?users=123');
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe(
+            'Users must be a comma-separated list of 2-50 user IDs.'
+        );
+    });
+
+    // Test unknown user
+    test('should return 400 for a non-existent user', async () => {
+        // Query with an unknown user
+        const response = await request(app)
+            .get('/api/balances?users=123,999');
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('User 999 does not exist.');
+    });
+});
+
+describe('POST /api/settlements', () => {
+    // Test self-settlement
+    test('should return 400 when settling with oneself', async () => {
+        // Record a payment to the same user
+        const response = await request(app)
+            .post('/api/settlements')
+            .send({ from: 123, to: 123, amount: 10 });
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message)
+            .toBe('A user cannot settle with themselves.');
+    });
+
+    // Test invalid amount
+    test('should return 400 for a non-positive amount', async () => {
+        // Record a zero payment
+        const response = await request(app)
+            .post('/api/settlements')
+            .send({ from: 456, to: 123, amount: 0 });
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message)
+            .toBe('Amount must be a positive finite number.');
+    });
+
+    // Test missing fields
+    test('should return 400 when fields are missing', async () => {
+        // Record a payment without an amount
+        const response = await request(app)
+            .post('/api/settlements')
+            .send({ from: 456, to: 123 });
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Missing required fields.');
+    });
+});
@@ -0,0 +1,387 @@
+/*
+ * Split Cost Tests
+ * Tests POST /api/add with a split among several users and the
+ * PATCH/DELETE /api/splits/:group endpoints for the linked costs,
+ * including spending limits.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import Report from '../../models/report.model.js';
+import SpendingLimit from '../../models/limit.model.js';
+import addCostRoutes from '../../routes/add_cost.routes.js';
+import splitRoutes from '../../routes/split.routes.js';
+import editCostRoutes from '../../routes/edit_cost.routes.js';
+import deleteCostRoutes from '../../routes/delete_cost.routes.js';
+import reportRoutes from '../../routes/report.routes.js';
+import userRoutes from '../../routes/user.routes.js';
+
+// App instance for testing
+let app;
+
+// Future date so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+const dinnerDate = new Date(nextYear, 2, 14, 20).toISOString();
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount cost, split, report and user routes under /api prefix
+    app.use('/api', addCostRoutes);
+    app.use('/api', splitRoutes);
+    app.use('/api', editCostRoutes);
+    app.use('/api', deleteCostRoutes);
+    app.use('/api', reportRoutes);
+    app.use('/api', userRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await Report.deleteMany({});
+    await SpendingLimit.deleteMany({});
+
+    // Create the three diners
+    await User.create([
+        {
+            id: 123,
+            first_name: 'John',
+            last_name: 'Doe',
+            birthday: new Date('1990-01-15')
+        },
+        {
+            id: 456,
+            first_name: 'Jane',
+            last_name: 'Roe',
+            birthday: new Date('1991-02-16')
+        },
+        {
+            id: 789,
+            first_name: 'Sam',
+            last_name: 'Poe',
+            birthday: new Date('1992-03-17')
+        }
+    ]);
+});
+
+/*
+ * Posts a dinner bill split with the given entries.
+ */
+function addDinner(sum, split) {
+    return request(app)
+        .post('/api/add')
+        .send({
+            description: 'Dinner',
+            category: 'food',
+            sum,
+            date: dinnerDate,
+            split
+        });
+}
+
+// Equal shares of the three diners
+const equalShares = [
+    { userid: 123, shares: 1 },
+    { userid: 456, shares: 1 },
+    { userid: 789, shares: 1 }
+];
+
+describe('POST /api/add with split', () => {
+    // Test split by shares
+    test(
+        'should create linked costs adding up exactly to the sum',
+        async () => {
+            // Split 100 in three equal shares
+            const response = await addDinner(100, equalShares);
+
+            // Verify portions and group
+            expect(response.status).toBe(201);
+            expect(response.body.sum).toBe(100);
+            expect(response.body.costs.map(cost => cost.sum))
+                .toEqual([33.34, 33.33, 33.33]);
+            expect(response.body.costs.map(cost => cost.userid))
+                .toEqual([123, 456, 789]);
+            expect(
+                response.body.costs.every(cost =>
+                    cost.split_group === response.body.split_group)
+            ).toBe(true);
+        }
+    );
+
+    // Test split by percentages
+    test(
+        'should split by percentages using the largest remainders',
+        async () => {
+            // Split 99.99 by 50/30/20 percent
+            const response = await addDinner(99.99, [
+                { userid: 123, percent: 50 },
+                { userid: 456, percent: 30 },
+                { userid: 789, percent: 20 }
+            ]);
+
+            // Verify rounded portions still add up to 99.99
+            expect(response.status).toBe(201);
+            expect(response.body.costs.map(cost => cost.sum))
+                .toEqual([49.99, 30, 20]);
+        }
+    );
+
+    // Test percentages not adding up
+    test(
+        'should return 400 when percentages do not add up to 100',
+        async () => {
+            // Split by 50/40 percent
+            const response = await addDinner(100, [
+                { userid: 123, percent: 50 },
+                { userid: 456, percent: 40 }
+            ]);
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Split percentages must add up to 100.');
+        }
+    );
+
+    // Test split with userid
+    test(
+        'should return 400 when userid and split are both given',
+        async () => {
+            // Send a split together with a userid
+            const response = await request(app)
+                .post('/api/add')
+                .send({
+                    description: 'Dinner',
+                    category: 'food',
+                    userid: 123,
+                    sum: 100,
+                    date: dinnerDate,
+                    split: equalShares
+                });
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message)
+                .toBe('Provide either userid or split, not both.');
+        }
+    );
+
+    // Test unknown split user
+    test(
+        'should return 400 and save nothing for a non-existent user',
+        async () => {
+            // Split with an unknown user
+            const response = await addDinner(100, [
+                { userid: 123, shares: 1 },
+                { userid: 999, shares: 1 }
+            ]);
+
+            // Verify 400 error and no saved costs
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('User 999 does not exist.');
+            expect(await Cost.countDocuments()).toBe(0);
+        }
+    );
+
+    // Test report and total of one participant
+    test(
+        'should count only the own portion in report and total',
+        async () => {
+            // Split 100 in three equal shares
+            await addDinner(100, equalShares);
+            const report = await request(app)
+                .get(`/api/report?userid=456&year=${nextYear}&month=3`);
+            const user = await request(app).get('/api/users/456');
+
+            // Verify the portion of user 456
+            const foodObj = report.body.costs.find(
+                cat => Object.hasOwn(cat, 'food')
+            );
+            expect(foodObj.food).toEqual([
+                { sum: 33.33, description: 'Dinner', day: 14 }
+            ]);
+            expect(user.body).toHaveProperty('total', 33.33);
+        }
+    );
+});
+
+describe('PATCH /api/splits/:group', () => {
+    // Test group update
+    test(
+        'should update all portions and split a new sum again',
+        async () => {
+            // Split 100, then change the sum and description
+            const created = await addDinner(100, equalShares);
+            const response = await request(app)
+                .patch(`/api/splits/${created.body.split_group}`)
+                .send({ sum: 200, description: 'Birthday dinner' });
+
+            // Verify new portions
+            expect(response.status).toBe(200);
+            expect(response.body.sum).toBe(200);
+            expect(response.body.costs.map(cost => cost.sum))
+                .toEqual([66.67, 66.67, 66.66]);
+            expect(
+                response.body.costs.every(cost =>
+                    cost.description === 'Birthday dinner')
+            ).toBe(true);
+        }
+    );
+
+    // Test editing a single portion
+    test(
+        'should return 409 when editing one portion alone',
+        async () => {
+            // Try to change one portion through PATCH /api/costs/:id
+            const created = await addDinner(100, equalShares);
+            const costId = created.body.costs[0]._id;
+            const response = await request(app)
+                .patch(`/api/costs/${costId}`)
+                .send({ sum: 50 });
+
+            // Verify 409 error pointing to the group
+            expect(response.status).toBe(409);
+            expect(response.body.message).toContain(
+                `/api/splits/${created.body.split_group}`
+            );
+        }
+    );
+});
+
+describe('DELETE /api/splits/:group', () => {
+    // Test group deletion
+    test(
+        'should delete every portion of the group',
+        async () => {
+            // Split 100, then delete the group
+            const created = await addDinner(100, equalShares);
+            const response = await request(app)
+                .delete(`/api/splits/${created.body.split_group}`);
+
+            // Verify all portions were deleted
+            expect(response.status).toBe(200);
+            expect(response.body.costs).toHaveLength(3);
+            expect(await Cost.countDocuments()).toBe(0);
+        }
+    );
+
+    // Test deleting a single portion
+    test(
+        'should return 409 when deleting one portion alone',
+        async () => {
+            // Try to delete one portion through DELETE /api/costs/:id
+            const created = await addDinner(100, equalShares);
+            const response = await request(app)
+                .delete(`/api/costs/${created.body.costs[0]._id}`);
+
+            // Verify 409 error and untouched group
+            expect(response.status).toBe(409);
+            expect(await Cost.countDocuments()).toBe(3);
+        }
+    );
+
+    // Test unknown group
+    test(
+        'should return 404 for a non-existent group',
+        async () => {
+            // Delete an unknown group
+            const group = new mongoose.Types.ObjectId();
+            const response = await request(app)
+                .delete(`/api/splits/${group}`);
+
+            // Verify 404 error
+            expect(response.status).toBe(404);
+            expect(response.body.message)
+                .toBe(`Split group ${group} does not exist.`);
+        }
+    );
+});
+
+describe('Spending limits in PATCH /api/splits/:group', () => {
+    // Admin token used by the override test
+    const adminToken = 'test-admin-token';
+
+    // Configure the admin token for these tests
+    beforeAll(() => {
+        process.env.ADMIN_TOKEN = adminToken;
+    });
+
+    // Remove the admin token afterwards
+    afterAll(() => {
+        delete process.env.ADMIN_TOKEN;
+    });
+
+    // Cap the monthly food spending of the second diner at 50
+    beforeEach(async () => {
+        await SpendingLimit.create({
+            userid: 456,
+            category: 'food',
+            period: 'monthly',
+            amount: 50
+        });
+    });
+
+    // Test split edit exceeding a limit
+    test(
+        'should return 403 when a portion exceeds a limit',
+        async () => {
+            // Portions of 30, raised to 60 each
+            const created = await addDinner(90, equalShares);
+            const response = await request(app)
+                .patch(`/api/splits/${created.body.split_group}`)
+                .send({ sum: 180 });
+
+            // Verify 403 error naming the user and sums unchanged
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe(
+                "Cost exceeds the monthly limit of 50 for category 'food' " +
+                'of user 456. Remaining: 50.'
+            );
+            const costs = await Cost.find({ userid: 456 });
+            expect(costs.map(cost => cost.toJSON().sum)).toEqual([30]);
+        }
+    );
+
+    // Test admin override
+    test(
+        'should let an admin override the limit',
+        async () => {
+            // Raise the portions over the cap with the admin token
+            const created = await addDinner(90, equalShares);
+            const response = await request(app)
+                .patch(`/api/splits/${created.body.split_group}`)
+                .set('X-Admin-Token', adminToken)
+                .send({ sum: 180, override_limits: true });
+
+            // Verify the change was saved
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('sum', 180);
+        }
+    );
+});
@@ -0,0 +1,161 @@
+/*
+ * Tag Report Endpoint Tests
+ * Tests the GET /api/report/tags endpoint for per-tag totals.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import tagReportRoutes from '../../routes/tag_report.routes.js';
+
+// App instance for testing
+let app;
+
+// Future base date so costs pass the past-date validation
+const nextYear = new Date().getFullYear() + 1;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount tag report routes under /api prefix
+    app.use('/api', tagReportRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear collections and create tagged costs
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+    await Cost.create([
+        {
+            description: 'Hotel',
+            category: 'housing',
+            userid: 123,
+            sum: 400,
+            date: new Date(nextYear, 0, 5),
+            tags: ['vacation', 'kids']
+        },
+        {
+            description: 'Ice cream',
+            category: 'food',
+            userid: 123,
+            sum: 20,
+            date: new Date(nextYear, 0, 6),
+            tags: ['kids']
+        },
+        {
+            description: 'Books',
+            category: 'education',
+            userid: 123,
+            sum: 60,
+            date: new Date(nextYear, 1, 1),
+            tags: ['kids']
+        },
+        {
+            description: 'Bread',
+            category: 'food',
+            userid: 123,
+            sum: 10,
+            date: new Date(nextYear, 0, 7)
+        }
+    ]);
+});
+
+describe('GET /api/report/tags', () => {
+    // Test monthly breakdown
+    test(
+        'should total spending per tag for a month',
+        async () => {
+            // Request January breakdown
+            const response = await request(app).get(
+                `/api/report/tags?userid=123&year=${nextYear}&month=1`
+            );
+
+            // Verify totals, highest first; costs count for every tag
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('userid', 123);
+            expect(response.body.tags).toEqual([
+                { tag: 'kids', total: 420, count: 2 },
+                { tag: 'vacation', total: 400, count: 1 }
+            ]);
+        }
+    );
+
+    // Test date range breakdown
+    test(
+        'should total spending per tag for a date range',
+        async () => {
+            // Request breakdown from February on (server local time)
+            const from = new Date(nextYear, 1, 1).toISOString();
+            const response = await request(app)
+                .get('/api/report/tags')
+                .query({ userid: 123, from });
+
+            // Verify only February costs are included
+            expect(response.status).toBe(200);
+            expect(response.body.tags).toEqual([
+                { tag: 'kids', total: 60, count: 1 }
+            ]);
+        }
+    );
+
+    // Test missing period
+    test(
+        'should return 400 without a month or date range',
+        async () => {
+            // Request breakdown without period
+            const response = await request(app)
+                .get('/api/report/tags?userid=123');
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe(
+                'Provide year and month, or a from/to date range.'
+            );
+        }
+    );
+
+    // Test non-existent user
+    test(
+        'should return 400 for non-existent user',
+        async () => {
+            // Request breakdown for unknown user
+            const response = await request(app).get(
+                `/api/report/tags?userid=999&year=${nextYear}&month=1`
+            );
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('User 999 does not exist.');
+        }
+    );
+});
@@ -406,4 +406,149 @@ describe('GET /api/users/:id', () => {
             expect(response.body.total).toBe(50);
         }
     );
+
+    // Test category, month and date expansions
+    test(
+        'should include per-category, per-month and date summaries',
+        async () => {
+            // Define user ID for testing
+            const userId = 321;
+
+            // Create test user with two costs
+            await User.create({
+                id: userId,
+                first_name: 'Dana',
+                last_name: 'Levi',
+                birthday: new Date('1992-04-01')
+            });
+            await Cost.create([
+                {
+                    description: 'Groceries',
+                    category: 'food',
+                    userid: userId,
+                    sum: 30,
+                    date: new Date()
+                },
+                {
+                    description: 'Course',
+                    category: 'education',
+                    userid: userId,
+                    sum: 70,
+                    date: new Date()
+                }
+            ]);
+
+            // Request expansions with a three-month breakdown
+            const response = await request(app).get(
+                `/api/users/${userId}` +
+                '?include=categories,months,dates&last_months=3'
+            );
+
+            // Verify status code and total
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('total', 100);
+            // Verify category totals include empty categories
+            expect(response.body.categories).toContainEqual({ food: 30 });
+            expect(response.body.categories)
+                .toContainEqual({ education: 70 });
+            expect(response.body.categories).toContainEqual({ health: 0 });
+            // Verify monthly breakdown ends with the current month
+            const now = new Date();
+            expect(response.body.months).toHaveLength(3);
+            expect(response.body.months[2]).toEqual({
+                year: now.getFullYear(),
+                month: now.getMonth() + 1,
+                total: 100
+            });
+            expect(response.body.months[0]).toHaveProperty('total', 0);
+            // Verify first and last cost dates are present
+            expect(response.body.first_cost_date).toBeDefined();
+            expect(response.body.last_cost_date).toBeDefined();
+        }
+    );
+
+    // Test recent costs expansion
+    test(
+        'should include the five most recent costs',
+        async () => {
+            // Define user ID for testing
+            const userId = 654;
+
+            // Create test user with six costs
+            await User.create({
+                id: userId,
+                first_name: 'Avi',
+                last_name: 'Cohen',
+                birthday: new Date('1985-09-09')
+            });
+            const today = new Date();
+            await Cost.create([1, 2, 3, 4, 5, 6].map(day => ({
+                description: `Item ${day}`,
+                category: 'food',
+                userid: userId,
+                sum: day,
+                // Future dates in January of next year
+                date: new Date(today.getFullYear() + 1, 0, day)
+            })));
+
+            // Request the recent expansion
+            const response = await request(app)
+                .get(`/api/users/${userId}?include=recent`);
+
+            // Verify only the five newest costs are returned
+            expect(response.status).toBe(200);
+            expect(response.body.recent).toHaveLength(5);
+            expect(response.body.recent[0])
+                .toHaveProperty('description', 'Item 6');
+            // Verify other expansions are not included
+            expect(response.body).not.toHaveProperty('categories');
+        }
+    );
+
+    // Test unknown expansion
+    test(
+        'should return 400 for unknown include value',
+        async () => {
+            // Request an unsupported expansion
+            const response = await request(app)
+                .get('/api/users/123?include=friends');
+
+            // Verify 400 error
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe(
+                'Include must be a comma-separated list of: ' +
+                'categories, months, dates, recent.'
+            );
+        }
+    );
+
+    // Test exact decimal totals
+    test(
+        'should total decimal sums without floating-point drift',
+        async () => {
+            // Create user with costs of 0.1 and 0.2
+            await User.create({
+                id: 123,
+                first_name: 'John',
+                last_name: 'Doe',
+                birthday: new Date('1990-01-15')
+            });
+            await Cost.create([0.1, 0.2].map(sum => ({
+                description: 'Candy',
+                category: 'food',
+                userid: 123,
+                sum,
+                date: new Date()
+            })));
+
+            // Request total with per-category breakdown
+            const response = await request(app)
+                .get('/api/users/123?include=categories');
+
+            // Verify exact totals (not 0.30000000000000004)
+            expect(response.status).toBe(200);
+            expect(response.body.total).toBe(0.3);
+            expect(response.body.categories[0]).toEqual({ food: 0.3 });
+        }
+    );
 });
@@ -151,4 +151,170 @@ describe('GET /api/users', () => {
             expect(response.body[0]).toHaveProperty('birthday');
         }
     );
+
+    // Test soft-deleted users are hidden
+    test(
+        'should not return soft-deleted users',
+        async () => {
+            // Create one active and one soft-deleted user
+            await User.create([
+                {
+                    id: 1,
+                    first_name: 'John',
+                    last_name: 'Doe',
+                    birthday: new Date('1990-01-15')
+                },
+                {
+                    id: 2,
+                    first_name: 'Jane',
+                    last_name: 'Smith',
+                    birthday: new Date('1995-06-20'),
+                    deleted_at: new Date()
+                }
+            ]);
+
+            // Make GET request to /api/users
+            const response = await request(app).get('/api/users');
+
+            // Verify only the active user is returned
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0]).toHaveProperty('id', 1);
+        }
+    );
+
+    // Test cursor pagination across pages
+    test(
+        'should page through users with limit and cursor',
+        async () => {
+            // Create five users
+            await User.create([1, 2, 3, 4, 5].map(id => ({
+                id,
+                first_name: `First${id}`,
+                last_name: `Last${id}`,
+                birthday: new Date('1990-01-15')
+            })));
+
+            // Request the first page
+            const first = await request(app).get('/api/users?limit=2');
+
+            // Verify first page and paging headers
+            expect(first.status).toBe(200);
+            expect(first.body.map(user => user.id)).toEqual([1, 2]);
+            expect(first.headers['x-total-count']).toBe('5');
+            expect(first.headers['x-next-cursor']).toBeDefined();
+
+            // Request the second page with the returned cursor
+            const second = await request(app).get(
+                '/api/users?limit=2&cursor=' +
+                first.headers['x-next-cursor']
+            );
+
+            // Verify the next users are returned
+            expect(second.body.map(user => user.id)).toEqual([3, 4]);
+
+            // Request the last page
+            const last = await request(app).get(
+                '/api/users?limit=2&cursor=' +
+                second.headers['x-next-cursor']
+            );
+
+            // Verify last page has no next cursor
+            expect(last.body.map(user => user.id)).toEqual([5]);
+            expect(last.headers['x-next-cursor']).toBeUndefined();
+        }
+    );
+
+    // Test descending sort
+    test(
+        'should sort by birthday descending',
+        async () => {
+            // Create users with different birthdays
+            await User.create([
+                {
+                    id: 1,
+                    first_name: 'Old',
+                    last_name: 'User',
+                    birthday: new Date('1950-01-01')
+                },
+                {
+                    id: 2,
+                    first_name: 'Young',
+                    last_name: 'User',
+                    birthday: new Date('2000-01-01')
+                }
+            ]);
+
+            // Request users sorted by birthday, newest first
+            const response = await request(app)
+                .get('/api/users?sort=-birthday');
+
+            // Verify sort order
+            expect(response.status).toBe(200);
+            expect(response.body.map(user => user.id)).toEqual([2, 1]);
+        }
+    );
+
+    // Test name prefix and birthday range filters
+    test(
+        'should filter by name prefix and birthday range',
+        async () => {
+            // Create users to filter
+            await User.create([
+                {
+                    id: 1,
+                    first_name: 'John',
+                    last_name: 'Doe',
+                    birthday: new Date('1990-01-15')
+                },
+                {
+                    id: 2,
+                    first_name: 'Johanna',
+                    last_name: 'Smith',
+                    birthday: new Date('1970-06-20')
+                },
+                {
+                    id: 3,
+                    first_name: 'Jane',
+                    last_name: 'Johnson',
+                    birthday: new Date('1985-03-10')
+                }
+            ]);
+
+            // Filter by "jo" prefix born from 1980 on
+            const response = await request(app).get(
+                '/api/users?name=jo&birthday_from=1980-01-01'
+            );
+
+            // Verify only matching users are returned
+            expect(response.status).toBe(200);
+            expect(response.body.map(user => user.id)).toEqual([1, 3]);
+            expect(response.headers['x-total-count']).toBe('2');
+        }
+    );
+
+    // Test invalid paging parameters
+    test(
+        'should return 400 for invalid limit, sort or cursor',
+        async () => {
+            // Send invalid limit
+            const badLimit = await request(app).get('/api/users?limit=0');
+            expect(badLimit.status).toBe(400);
+            expect(badLimit.body.message)
+                .toBe('Limit must be an integer between 1 and 1000.');
+
+            // Send unsupported sort field
+            const badSort = await request(app)
+                .get('/api/users?sort=first_name');
+            expect(badSort.status).toBe(400);
+            expect(badSort.body.message)
+                .toBe('Sort must be one of: id, last_name, birthday.');
+
+            // Send malformed cursor
+            const badCursor = await request(app)
+                .get('/api/users?cursor=not-a-cursor');
+            expect(badCursor.status).toBe(400);
+            expect(badCursor.body.message).toBe('Invalid cursor.');
+        }
+    );
 });
@@ -0,0 +1,218 @@
+/*
+ * Yearly Report Tests
+ * Tests the GET /api/report/yearly endpoint including
+ * Computed Design Pattern caching of completed years.
+ */
+
+// Import testing utilities
+import request from 'supertest';
+import mongoose from 'mongoose';
+
+// Import application utilities
+import { createServiceApp } from '../../utils/createServiceApp.js';
+import { connectDb } from '../../db.js';
+import getMongoUri from '../../config/mongo_conn.js';
+
+// Import models and routes to test
+import Cost from '../../models/cost.model.js';
+import User from '../../models/user.model.js';
+import YearlyReport from '../../models/yearly_report.model.js';
+import yearlyReportRoutes from '../../routes/yearly_report.routes.js';
+import deleteCostRoutes from '../../routes/delete_cost.routes.js';
+
+// App instance for testing
+let app;
+
+// Completed year, so its report is cached
+const lastYear = new Date().getFullYear() - 1;
+
+// Setup before all tests run
+beforeAll(async () => {
+    // Get MongoDB URI with fallback for local testing
+    const mongoUri =
+        getMongoUri() || 'mongodb://localhost:27017/cost_manager_test';
+
+    // Connect to test database
+    await connectDb(mongoUri);
+
+    // Create Express app with middleware
+    app = createServiceApp();
+    // Mount yearly report and cost deletion routes under /api prefix
+    app.use('/api', yearlyReportRoutes);
+    app.use('/api', deleteCostRoutes);
+});
+
+// Cleanup after all tests complete
+afterAll(async () => {
+    // Close database connection
+    await mongoose.connection.close();
+});
+
+// Setup before each individual test
+beforeEach(async () => {
+    // Clear all collections before each test
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await YearlyReport.deleteMany({});
+
+    // Create the user
+    await User.create({
+        id: 123,
+        first_name: 'John',
+        last_name: 'Doe',
+        birthday: new Date('1990-01-15')
+    });
+
+    // Insert last year's costs directly (bypass validation)
+    await Cost.collection.insertMany([
+        {
+            description: 'Groceries',
+            category: 'food',
+            userid: 123,
+            sum: mongoose.Types.Decimal128.fromString('100.1'),
+            date: new Date(lastYear, 0, 10)
+        },
+        {
+            description: 'Restaurant',
+            category: 'food',
+            userid: 123,
+            sum: mongoose.Types.Decimal128.fromString('50.2'),
+            date: new Date(lastYear, 0, 31, 23, 30)
+        },
+        {
+            description: 'Gym',
+            category: 'sports',
+            userid: 123,
+            sum: 30,
+            date: new Date(lastYear, 11, 1)
+        },
+        // Other users' costs do not count
+        {
+            description: 'Books',
+            category: 'education',
+            userid: 456,
+            sum: 80,
+            date: new Date(lastYear, 5, 1)
+        }
+    ]);
+});
+
+/*
+ * Returns the total of a category in a list of category totals.
+ */
+function totalOf(categories, category) {
+    return categories.find(entry => entry.category === category).total;
+}
+
+describe('GET /api/report/yearly', () => {
+    // Test report structure and totals
+    test(
+        'should return category totals per month and for the year',
+        async () => {
+            const response = await request(app)
+                .get(`/api/report/yearly?id=123&year=${lastYear}`);
+
+            // Verify twelve months with their totals
+            expect(response.status).toBe(200);
+            expect(response.body.userid).toBe(123);
+            expect(response.body.year).toBe(lastYear);
+            expect(response.body.months).toHaveLength(12);
+
+            const [january] = response.body.months;
+            const december = response.body.months[11];
+
+            expect(january.month).toBe(1);
+            expect(totalOf(january.categories, 'food')).toBe(150.3);
+            expect(totalOf(january.categories, 'sports')).toBe(0);
+            expect(january.total).toBe(150.3);
+            expect(totalOf(december.categories, 'sports')).toBe(30);
+            expect(response.body.months[5].total).toBe(0);
+
+            // Verify yearly category totals and grand total
+            expect(totalOf(response.body.categories, 'food')).toBe(150.3);
+            expect(totalOf(response.body.categories, 'sports')).toBe(30);
+            expect(response.body.total).toBe(180.3);
+        }
+    );
+
+    // Test caching of completed years
+    test('should cache the report of a completed year', async () => {
+        // First request generates and caches the report
+        const first = await request(app)
+            .get(`/api/report/yearly?id=123&year=${lastYear}`);
+        // Second request is served from the cache
+        const second = await request(app)
+            .get(`/api/report/yearly?id=123&year=${lastYear}`);
+
+        // Verify a single cached report with the same content
+        expect(first.status).toBe(200);
+        expect(second.body).toEqual(first.body);
+        expect(
+            await YearlyReport.countDocuments({ userid: 123, year: lastYear })
+        ).toBe(1);
+    });
+
+    // Test the current year is not cached
+    test('should not cache the current year', async () => {
+        const year = new Date().getFullYear();
+
+        const response = await request(app)
+            .get(`/api/report/yearly?id=123&year=${year}`);
+
+        // Verify no cached report
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(0);
+        expect(await YearlyReport.countDocuments({})).toBe(0);
+    });
+
+    // Test invalidation when a cost of the year changes
+    test(
+        'should invalidate the cached year when a cost is deleted',
+        async () => {
+            // Cache the report
+            await request(app)
+                .get(`/api/report/yearly?id=123&year=${lastYear}`);
+            const gym = await Cost.findOne({ description: 'Gym' });
+
+            // Delete one of the year's costs
+            await request(app).delete(`/api/costs/${gym._id}`);
+            const response = await request(app)
+                .get(`/api/report/yearly?id=123&year=${lastYear}`);
+
+            // Verify the recomputed report
+            expect(response.status).toBe(200);
+            expect(response.body.total).toBe(150.3);
+        }
+    );
+
+    // Test invalid year
+    test('should return 400 for an invalid year', async () => {
+        const response = await request(app)
+            .get('/api/report/yearly?id=123&year=abc');
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message)
+            .toBe('User ID and year must be positive integers.');
+    });
+
+    // Test missing year
+    test('should return 400 when the year is missing', async () => {
+        const response = await request(app)
+            .get('/api/report/yearly?id=123');
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Missing required fields.');
+    });
+
+    // Test unknown user
+    test('should return 400 for a non-existent user', async () => {
+        const response = await request(app)
+            .get(`/api/report/yearly?id=999&year=${lastYear}`);
+
+        // Verify 400 error
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('User 999 does not exist.');
+    });
+});
@@ -17,14 +17,21 @@ import { logger } from './utils/logger.js';
 // Import route handlers for user operations
 import userRoutes from './routes/user.routes.js';
 import addUserRoutes from './routes/add_user.routes.js';
+import editUserRoutes from './routes/edit_user.routes.js';
+import deleteUserRoutes from './routes/delete_user.routes.js';
 
 // Start the Users process with error handling
 try {
-    // Configure and launch the Users service with both routers
+    // Configure and launch the Users service with all user routers
     await startService({
         serviceName: 'Users',
         port: process.env.PORT || process.env.USERS_PORT || 3002,
-        routers: [addUserRoutes, userRoutes]
+        routers: [
+            addUserRoutes,
+            userRoutes,
+            editUserRoutes,
+            deleteUserRoutes
+        ]
     });
 } catch (err) {
     // Log fatal error and exit process on startup failure
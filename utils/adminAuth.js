@@ -0,0 +1,48 @@
+/*
+ * Admin Authorization Utility
+ * Recognizes requests carrying the administrator token.
+ * The token is configured through the ADMIN_TOKEN env variable;
+ * admin-only features are disabled while it is unset.
+ */
+// Constant-time comparison to avoid timing attacks on the token
+import { timingSafeEqual } from 'node:crypto';
+
+// Request header carrying the administrator token
+const ADMIN_TOKEN_HEADER = 'x-admin-token';
+
+/*
+ * Returns true when the request carries the configured admin token.
+ */
+function isAdminRequest(req) {
+    const expected = process.env.ADMIN_TOKEN;
+    const provided = req.get(ADMIN_TOKEN_HEADER);
+
+    // Admin access is disabled without a configured token
+    if (!expected || typeof provided !== 'string') {
+        return false;
+    }
+
+    // Compare as buffers of equal length only
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return (
+        expectedBuffer.length === providedBuffer.length &&
+        timingSafeEqual(expectedBuffer, providedBuffer)
+    );
+}
+
+/*
+ * Middleware rejecting requests without the admin token.
+ */
+function requireAdmin(req, res, next) {
+    // Continue only for authorized requests
+    if (isAdminRequest(req)) {
+        return next();
+    }
+    return res.status(403).json({
+        id: 403,
+        message: 'Admin authorization required.'
+    });
+}
+
+export { ADMIN_TOKEN_HEADER, isAdminRequest, requireAdmin };
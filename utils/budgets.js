@@ -0,0 +1,99 @@
+/*
+ * Budget Utilities
+ * Resolves the budgets in effect for a month and compares them
+ * with the amount spent. Budgets and spending are compared in
+ * the base currency.
+ */
+// Mongoose models for budgets and costs
+import Budget from '../models/budget.model.js';
+import Cost from '../models/cost.model.js';
+// Exact amount arithmetic and conversion
+import { toAmount, subtractAmounts } from './money.js';
+// Currency conversion helpers
+import { getBaseCurrency, buildConversionStages } from './currency.js';
+
+/*
+ * Returns the budgets in effect for a user's month as a Map from
+ * category to budget document. A budget set for the month itself
+ * takes precedence over the category's recurring default.
+ */
+async function getMonthBudgets(userid, year, month) {
+    const budgets = await Budget.find({
+        userid,
+        $or: [{ year, month }, { year: null, month: null }]
+    }).lean();
+    const byCategory = new Map();
+
+    for (const budget of budgets) {
+        // Keep the month budget over the recurring default
+        if (!byCategory.has(budget.category) || budget.year !== null) {
+            byCategory.set(budget.category, budget);
+        }
+    }
+    return byCategory;
+}
+
+/*
+ * Compares a budget amount with the amount spent.
+ * Returns { budget, spent, remaining, over_budget } as numbers.
+ */
+function budgetStatus(amount, spent) {
+    const remaining = toAmount(subtractAmounts(amount, spent));
+
+    return {
+        budget: toAmount(amount),
+        spent: toAmount(spent),
+        remaining,
+        over_budget: remaining < 0
+    };
+}
+
+/*
+ * Returns the budget status of the category and month of a cost,
+ * or null when no budget applies or a cost of the month cannot be
+ * converted to the base currency.
+ */
+async function getCostBudgetStatus({ userid, category, date }) {
+    const costDate = new Date(date);
+    const year = costDate.getFullYear();
+    const month = costDate.getMonth() + 1;
+    const budget = (await getMonthBudgets(userid, year, month))
+        .get(category);
+
+    // No budget for this category and month
+    if (!budget) {
+        return null;
+    }
+
+    // Amount spent in the category during the month
+    const [totals] = await Cost.aggregate([
+        {
+            $match: {
+                userid,
+                category,
+                date: {
+                    $gte: new Date(year, month - 1, 1),
+                    $lt: new Date(year, month, 1)
+                }
+            }
+        },
+        ...buildConversionStages(getBaseCurrency()),
+        {
+            $group: {
+                _id: null,
+                spent: { $sum: '$amount' },
+                unconverted: {
+                    $sum: { $cond: [{ $eq: ['$amount', null] }, 1, 0] }
+                }
+            }
+        }
+    ]);
+
+    // Spending is unknown while a rate is missing
+    if (totals?.unconverted > 0) {
+        return null;
+    }
+    return budgetStatus(budget.amount, totals?.spent ?? 0);
+}
+
+export { getMonthBudgets, budgetStatus, getCostBudgetStatus };
@@ -0,0 +1,56 @@
+/*
+ * Category Utilities
+ * Runtime access to the categories collection.
+ * The collection is seeded from config/categories.js when empty,
+ * so fresh databases start with the original five categories.
+ */
+// Default categories used to seed an empty collection
+import DEFAULT_CATEGORIES from '../config/categories.js';
+// Mongoose model for cost categories
+import Category from '../models/category.model.js';
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/*
+ * Inserts the default categories.
+ * Ignores duplicates inserted concurrently by another service.
+ */
+async function seedCategories() {
+    try {
+        await Category.insertMany(
+            DEFAULT_CATEGORIES.map(name => ({ name })),
+            { ordered: false }
+        );
+    } catch (err) {
+        // Another process seeded at the same time
+        if (err?.code !== DUPLICATE_KEY_ERROR) {
+            throw err;
+        }
+    }
+}
+
+/*
+ * Returns the category documents in report order.
+ * Seeds the defaults on first use.
+ */
+async function listCategories() {
+    let categories = await Category.find().sort({ _id: 1 }).lean();
+
+    // Seed the defaults into an empty collection
+    if (categories.length === 0) {
+        await seedCategories();
+        categories = await Category.find().sort({ _id: 1 }).lean();
+    }
+    return categories;
+}
+
+/*
+ * Returns the accepted category names in report order.
+ */
+async function getCategories() {
+    const categories = await listCategories();
+    return categories.map(category => category.name);
+}
+
+export { listCategories, getCategories };
@@ -0,0 +1,34 @@
+/*
+ * Counter Utilities
+ * Atomic sequence operations on the counters collection.
+ * Used for server-assigned numeric IDs.
+ */
+// Mongoose model for named sequences
+import Counter from '../models/counter.model.js';
+
+/*
+ * Atomically increments a sequence and returns the new value.
+ * Creates the sequence on first use.
+ */
+async function nextSequence(name) {
+    const counter = await Counter.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return counter.seq;
+}
+
+/*
+ * Raises a sequence to at least the given value.
+ * Reserves explicitly chosen IDs so the counter never issues them.
+ */
+async function raiseSequence(name, value) {
+    await Counter.updateOne(
+        { _id: name },
+        { $max: { seq: value } },
+        { upsert: true }
+    );
+}
+
+export { nextSequence, raiseSequence };
@@ -1,7 +1,8 @@
 /*
  * Service App Factory
  * Creates Express applications with common middleware.
- * Includes JSON body parsing and request/response logging.
+ * Includes JSON body parsing, request/response logging
+ * and Idempotency-Key handling.
  */
 
 // Express framework for creating web applications
@@ -10,10 +11,12 @@ import express from 'express';
 import bodyParser from 'body-parser';
 // Logging utilities for console output and database persistence
 import { logger, saveLogToDb } from './logger.js';
+// Replay protection for retried POST requests
+import { idempotency } from './idempotency.js';
 
 /*
  * Creates an Express app with middleware configured.
- * Adds body parser and HTTP request logging middleware.
+ * Adds body parser, HTTP request logging and idempotency middleware.
  */
 // Factory function that returns a configured Express application
 export function createServiceApp() {
@@ -57,6 +60,9 @@ export function createServiceApp() {
         next();
     });
 
+    // Replay stored responses for repeated Idempotency-Key requests
+    app.use(idempotency);
+
     // Return the configured Express application
     return app;
 }
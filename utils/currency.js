@@ -0,0 +1,201 @@
+/*
+ * Currency Utilities
+ * Base currency configuration and exchange-rate conversion.
+ * Rates are stored against the base currency (BASE_CURRENCY env
+ * variable, default ILS) and take effect from their date on.
+ */
+// Mongoose model for uploaded exchange rates
+import Rate from '../models/rate.model.js';
+
+// Base currency used when BASE_CURRENCY is not configured
+const DEFAULT_BASE_CURRENCY = 'ILS';
+// Three-letter ISO 4217 currency code
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+// Converted amounts are rounded to minor units (e.g. agorot, cents)
+const AMOUNT_DECIMALS = 2;
+
+/*
+ * Returns the per-deployment base currency.
+ */
+function getBaseCurrency() {
+    const configured = process.env.BASE_CURRENCY?.trim().toUpperCase();
+    return configured && CURRENCY_PATTERN.test(configured)
+        ? configured
+        : DEFAULT_BASE_CURRENCY;
+}
+
+/*
+ * Normalizes a currency code (trimmed, uppercase).
+ * Returns null when the value is not a three-letter code.
+ */
+function parseCurrency(value) {
+    // Reject non-string values
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const code = value.trim().toUpperCase();
+    return CURRENCY_PATTERN.test(code) ? code : null;
+}
+
+/*
+ * Builds a $lookup stage fetching the rate of a currency in effect
+ * on the cost's date (the latest rate dated on or before it).
+ */
+function rateLookupStage(currency, as) {
+    return {
+        $lookup: {
+            from: Rate.collection.name,
+            let: { currency, date: '$date' },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: {
+                            $and: [
+                                { $eq: ['$currency', '$$currency'] },
+                                { $lte: ['$date', '$$date'] }
+                            ]
+                        }
+                    }
+                },
+                { $sort: { date: -1 } },
+                { $limit: 1 }
+            ],
+            as
+        }
+    };
+}
+
+/*
+ * Builds aggregation stages converting each cost to the target
+ * currency. Adds 'amount' (the converted sum, rounded to minor
+ * units; the sum itself when no conversion is needed, null when a
+ * rate is missing) and fills in 'currency' on legacy costs.
+ */
+function buildConversionStages(target) {
+    const base = getBaseCurrency();
+
+    // Rate expression against the base currency (1 for the base itself)
+    const rateOf = (currency, field) => (
+        currency === base
+            ? { $literal: 1 }
+            : {
+                $cond: [
+                    { $eq: [currency, base] },
+                    1,
+                    { $ifNull: [{ $first: `$${field}.rate` }, null] }
+                ]
+            }
+    );
+
+    const stages = [
+        // Costs created before multi-currency support are in base
+        { $set: { currency: { $ifNull: ['$currency', base] } } },
+        rateLookupStage('$currency', 'source_rate')
+    ];
+
+    // The target needs its own rate unless it is the base currency
+    if (target !== base) {
+        stages.push(rateLookupStage(target, 'target_rate'));
+    }
+
+    stages.push(
+        {
+            $set: {
+                source_rate: rateOf('$currency', 'source_rate'),
+                target_rate: rateOf(target, 'target_rate')
+            }
+        },
+        {
+            $set: {
+                amount: {
+                    $switch: {
+                        branches: [
+                            // Same currency: keep the exact sum
+                            {
+                                case: { $eq: ['$currency', target] },
+                                then: '$sum'
+                            },
+                            // Missing rate: conversion impossible
+                            {
+                                case: {
+                                    $or: [
+                                        { $eq: ['$source_rate', null] },
+                                        { $eq: ['$target_rate', null] }
+                                    ]
+                                },
+                                then: null
+                            }
+                        ],
+                        // sum * source rate / target rate
+                        default: {
+                            $round: [
+                                {
+                                    $divide: [
+                                        {
+                                            $multiply: [
+                                                '$sum',
+                                                '$source_rate'
+                                            ]
+                                        },
+                                        '$target_rate'
+                                    ]
+                                },
+                                AMOUNT_DECIMALS
+                            ]
+                        }
+                    }
+                }
+            }
+        },
+        { $unset: ['source_rate', 'target_rate'] }
+    );
+    return stages;
+}
+
+/*
+ * Error message for a cost that could not be converted.
+ */
+function missingRateMessage(cost, target) {
+    const day = new Date(cost.date).toISOString().slice(0, 10);
+    return (
+        `No exchange rate from ${cost.currency} to ${target} ` +
+        `on ${day}.`
+    );
+}
+
+/*
+ * Returns the costs that could not be converted to the base
+ * currency: a foreign currency needs a rate dated on or before the
+ * cost. Each entry needs a currency (missing means base) and a date.
+ * Returns an empty array when every cost can be converted.
+ */
+async function findUnconvertible(costs) {
+    const base = getBaseCurrency();
+    const foreign = costs.filter(cost =>
+        typeof cost.currency !== 'undefined' && cost.currency !== base);
+
+    // Base currency costs need no rate
+    if (foreign.length === 0) {
+        return [];
+    }
+
+    // Date of the first rate of each foreign currency
+    const currencies = [...new Set(foreign.map(cost => cost.currency))];
+    const firstRates = await Rate.aggregate([
+        { $match: { currency: { $in: currencies } } },
+        { $group: { _id: '$currency', date: { $min: '$date' } } }
+    ]);
+    const firstRateDates =
+        new Map(firstRates.map(rate => [rate._id, rate.date]));
+
+    return foreign.filter(cost =>
+        !(firstRateDates.get(cost.currency) <= new Date(cost.date)));
+}
+
+export {
+    getBaseCurrency,
+    parseCurrency,
+    buildConversionStages,
+    missingRateMessage,
+    findUnconvertible
+};
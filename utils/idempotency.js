@@ -0,0 +1,177 @@
+/*
+ * Idempotency Middleware
+ * Makes POST requests carrying an Idempotency-Key header safe to retry.
+ * The first response is stored and replayed for repeated requests,
+ * so client retries after a timeout never write twice.
+ */
+// Hashing for request fingerprints
+import { createHash } from 'node:crypto';
+// Mongoose model for stored responses
+import IdempotencyKey, {
+    IDEMPOTENCY_TTL_SECONDS
+} from '../models/idempotency.model.js';
+// Logging utility for storage failures
+import { logger } from './logger.js';
+
+// Request header carrying the client-generated key
+const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+// Longest key accepted
+const MAX_KEY_LENGTH = 255;
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/*
+ * Fingerprints a request by method, path and body.
+ */
+function hashRequest(req) {
+    const fingerprint = JSON.stringify([
+        req.method,
+        req.originalUrl,
+        req.body ?? null
+    ]);
+    return createHash('sha256').update(fingerprint).digest('hex');
+}
+
+/*
+ * Returns true when the record is older than the replay window.
+ * The TTL monitor runs periodically, so expired records may linger.
+ */
+function isExpired(record) {
+    const ageMs = Date.now() - record.created_at.getTime();
+    return ageMs >= IDEMPOTENCY_TTL_SECONDS * 1000;
+}
+
+/*
+ * Reserves the key for this request.
+ * Returns null when reserved, or the record already holding the key.
+ */
+async function reserveKey(key, requestHash) {
+    try {
+        await IdempotencyKey.create({ key, request_hash: requestHash });
+        return null;
+    } catch (err) {
+        // Anything but a key collision is a real failure
+        if (err?.code !== DUPLICATE_KEY_ERROR) {
+            throw err;
+        }
+    }
+
+    const existing = await IdempotencyKey.findOne({ key }).lean();
+
+    // Record vanished in the meantime: reserve it afresh
+    if (!existing) {
+        return reserveKey(key, requestHash);
+    }
+
+    // Record outlived the replay window: replace it
+    if (isExpired(existing)) {
+        await IdempotencyKey.deleteOne({ _id: existing._id });
+        return reserveKey(key, requestHash);
+    }
+    return existing;
+}
+
+/*
+ * Middleware honoring the Idempotency-Key header on POST requests.
+ * Replays the stored response for the same key and request, answers
+ * 422 when the key was used for a different request and 409 while
+ * the first request is still in progress. Server errors (5xx) are
+ * not stored, so such requests can be retried with the same key.
+ */
+async function idempotency(req, res, next) {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+
+    // Only POST requests carrying a key are affected
+    if (req.method !== 'POST' || typeof key === 'undefined') {
+        return next();
+    }
+
+    // Validate key format
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            id: 400,
+            message:
+                'Idempotency-Key must be a non-empty string of at most ' +
+                `${MAX_KEY_LENGTH} characters.`
+        });
+    }
+
+    try {
+        const requestHash = hashRequest(req);
+        const existing = await reserveKey(key, requestHash);
+
+        if (existing) {
+            // Same key reused for a different request
+            if (existing.request_hash !== requestHash) {
+                return res.status(422).json({
+                    id: 422,
+                    message:
+                        'Idempotency-Key was already used ' +
+                        'for a different request.'
+                });
+            }
+
+            // First request has not produced a response yet
+            if (typeof existing.status !== 'number') {
+                return res.status(409).json({
+                    id: 409,
+                    message:
+                        'A request with this Idempotency-Key ' +
+                        'is still in progress.'
+                });
+            }
+
+            // Replay the stored response without running the handler
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.status).json(existing.body);
+        }
+
+        // Store the response before it is sent to the client
+        const sendJson = res.json.bind(res);
+        let settled = false;
+
+        res.json = (body) => {
+            settled = true;
+            const stored = res.statusCode >= 500
+                // Release the key so the request can be retried
+                ? IdempotencyKey.deleteOne({ key }).exec()
+                : IdempotencyKey.updateOne(
+                    { key },
+                    {
+                        $set: {
+                            status: res.statusCode,
+                            // Plain JSON copy of documents in the body
+                            body: JSON.parse(JSON.stringify(body ?? null))
+                        }
+                    }
+                ).exec();
+
+            stored
+                .catch((err) => {
+                    logger.error(
+                        { err, key },
+                        'Failed to store idempotent response.'
+                    );
+                })
+                .finally(() => sendJson(body));
+            return res;
+        };
+
+        // Release the key when no JSON response was produced
+        res.on('close', () => {
+            if (!settled) {
+                IdempotencyKey.deleteOne({ key }).exec().catch(() => {});
+            }
+        });
+
+        return next();
+    } catch (err) {
+        // Handle any database or server errors
+        return res.status(500).json({
+            id: 500,
+            message: 'Internal server error.'
+        });
+    }
+}
+
+export { IDEMPOTENCY_KEY_HEADER, idempotency };
@@ -0,0 +1,216 @@
+/*
+ * Spending Limit Utilities
+ * Saves costs subject to the hard spending limits of their user
+ * and category. Spending is compared in the base currency over
+ * the day, week (starting Monday) or month of the cost.
+ */
+// MongoDB library for transaction sessions
+import mongoose from 'mongoose';
+// Mongoose models for limits and costs
+import SpendingLimit from '../models/limit.model.js';
+import Cost from '../models/cost.model.js';
+// Exact amount arithmetic and conversion
+import { toAmount, subtractAmounts } from './money.js';
+// Currency conversion helpers
+import {
+    getBaseCurrency,
+    buildConversionStages,
+    missingRateMessage
+} from './currency.js';
+
+/*
+ * Returns the local-time [start, end) range of the day, week
+ * (Monday to Sunday) or month containing the date.
+ */
+function getPeriodRange(period, date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+
+    // Move back to the first day of the week or month
+    if (period === 'weekly') {
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if (period === 'monthly') {
+        start.setDate(1);
+    }
+
+    // End of the period (exclusive)
+    const end = new Date(start);
+
+    if (period === 'daily') {
+        end.setDate(end.getDate() + 1);
+    } else if (period === 'weekly') {
+        end.setDate(end.getDate() + 7);
+    } else {
+        end.setMonth(end.getMonth() + 1);
+    }
+    return { start, end };
+}
+
+/*
+ * Checks a saved (uncommitted) cost against one limit.
+ * Returns null when within the limit, { message } when the cost
+ * cannot be converted, or the exceeded limit otherwise.
+ */
+async function checkLimit(cost, limit, session) {
+    const { start, end } = getPeriodRange(limit.period, cost.date);
+
+    // Period spending including the new cost, and the new cost alone
+    const [totals] = await Cost.aggregate([
+        {
+            $match: {
+                userid: cost.userid,
+                category: cost.category,
+                date: { $gte: start, $lt: end }
+            }
+        },
+        ...buildConversionStages(getBaseCurrency()),
+        {
+            $group: {
+                _id: null,
+                spent: { $sum: '$amount' },
+                added: {
+                    $sum: {
+                        $cond: [{ $eq: ['$_id', cost._id] }, '$amount', 0]
+                    }
+                },
+                // A cost without a rate ($max skips the nulls)
+                unconverted: {
+                    $max: {
+                        $cond: [
+                            { $eq: ['$amount', null] },
+                            { currency: '$currency', date: '$date' },
+                            null
+                        ]
+                    }
+                }
+            }
+        }
+    ]).session(session);
+
+    // Spending cannot be compared while a rate is missing
+    if (totals.unconverted) {
+        return {
+            message: missingRateMessage(
+                totals.unconverted,
+                getBaseCurrency()
+            )
+        };
+    }
+
+    // Within the limit
+    if (toAmount(subtractAmounts(limit.amount, totals.spent)) >= 0) {
+        return null;
+    }
+
+    // Amount that was left before this cost
+    const before = subtractAmounts(totals.spent, totals.added);
+    const remaining = toAmount(subtractAmounts(limit.amount, before));
+
+    return {
+        userid: cost.userid,
+        category: cost.category,
+        period: limit.period,
+        amount: toAmount(limit.amount),
+        remaining: Math.max(remaining, 0)
+    };
+}
+
+/*
+ * Returns the limits of the costs' users and categories.
+ */
+function findLimits(costs) {
+    return SpendingLimit.find({
+        $or: costs.map(({ userid, category }) => ({ userid, category }))
+    }).lean();
+}
+
+/*
+ * Describes the exceeded limit of a rejected cost as sent to the
+ * client: the error message and the limit. The user is named when
+ * the request covers costs of several users.
+ */
+function describeExceeded(exceeded, { nameUser = false } = {}) {
+    const { userid, category, period, amount, remaining } = exceeded;
+    const owner = nameUser ? ` of user ${userid}` : '';
+
+    return {
+        message:
+            `Cost exceeds the ${period} limit of ${amount} ` +
+            `for category '${category}'${owner}. ` +
+            `Remaining: ${remaining}.`,
+        limit: {
+            ...(nameUser && { userid }),
+            category,
+            period,
+            amount,
+            remaining
+        }
+    };
+}
+
+/*
+ * Saves new or edited costs unless one exceeds a limit of its user
+ * and category; the costs are saved all together or not at all. The
+ * costs are saved inside a transaction and the limits are checked
+ * against the period's spending before the transaction commits.
+ * Each check also bumps the limit document, so of two concurrent
+ * transactions under the same limit one hits a write conflict and
+ * is retried, seeing the other's cost. { skipLimits: true } saves
+ * without checking (admin overrides and backfills), and
+ * { validateModifiedOnly: true } validates only the changed paths
+ * of edited costs.
+ * Returns { costs } when saved, { exceeded } with the first exceeded
+ * limit, or { message } when spending cannot be converted.
+ */
+async function saveWithinLimits(
+    costs,
+    { skipLimits = false, validateModifiedOnly = false } = {}
+) {
+    const limits = skipLimits ? [] : await findLimits(costs);
+
+    // A single cost without limits needs no transaction
+    if (costs.length === 1 && limits.length === 0) {
+        return { costs: [await costs[0].save({ validateModifiedOnly })] };
+    }
+
+    let result;
+
+    // Mongoose resets the costs' saved state between retries
+    await mongoose.connection.transaction(async session => {
+        const saved = [];
+
+        for (const cost of costs) {
+            saved.push(await cost.save({ session, validateModifiedOnly }));
+        }
+
+        for (const cost of saved) {
+            // Limits of this cost's user and category
+            const costLimits = limits.filter(limit =>
+                limit.userid === cost.userid &&
+                limit.category === cost.category);
+
+            for (const limit of costLimits) {
+                // Serialize concurrent checks of the same limit
+                await SpendingLimit.updateOne(
+                    { _id: limit._id },
+                    { $inc: { checks: 1 } },
+                    { session }
+                );
+                const failure = await checkLimit(cost, limit, session);
+
+                // Roll back all costs on the first failed check
+                if (failure) {
+                    await session.abortTransaction();
+                    result = failure.message
+                        ? { message: failure.message }
+                        : { exceeded: failure };
+                    return;
+                }
+            }
+        }
+        result = { costs: saved };
+    });
+    return result;
+}
+
+export { findLimits, describeExceeded, saveWithinLimits };
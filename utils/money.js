@@ -0,0 +1,214 @@
+/*
+ * Money Utilities
+ * Conversions between API amounts and stored Decimal128 values.
+ * Sums are stored as Decimal128 so MongoDB adds them exactly
+ * (no floating-point drift such as 0.30000000000000004).
+ */
+// MongoDB library for the Decimal128 type
+import mongoose from 'mongoose';
+
+const { Decimal128 } = mongoose.Types;
+
+// Decimal text: sign, integer digits, fraction digits and exponent
+const DECIMAL_PATTERN = /^([+-]?)(\d+)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+// Split parts are rounded to minor units (e.g. agorot, cents)
+const MINOR_UNIT_DECIMALS = 2;
+// Percentages are rounded to two decimals (e.g. 33.33)
+const PERCENT_DECIMALS = 2;
+
+/*
+ * Converts an API amount (number or numeric string) to Decimal128.
+ * Uses the shortest decimal representation of numbers, so 0.1
+ * is stored as exactly 0.1.
+ */
+function toDecimal(value) {
+    return Decimal128.fromString(String(value));
+}
+
+/*
+ * Converts a stored amount (Decimal128 or legacy number) to a
+ * plain number for API responses. null and undefined pass through.
+ */
+function toAmount(value) {
+    // Keep missing values as they are
+    if (value === null || typeof value === 'undefined') {
+        return value;
+    }
+    return Number(value.toString());
+}
+
+/*
+ * Splits an amount (number, numeric string or Decimal128) into
+ * integer units and a decimal scale: 12.34 is { units: 1234n, scale: 2 }.
+ */
+function toFixedPoint(value) {
+    const [, sign, whole, fraction = '', exponent = '0'] =
+        DECIMAL_PATTERN.exec(String(value));
+    const scale = fraction.length - Number(exponent);
+    const units = BigInt(`${sign}${whole}${fraction}`);
+
+    // A positive exponent leaves no digits after the decimal point
+    return scale >= 0
+        ? { units, scale }
+        : { units: units * 10n ** BigInt(-scale), scale: 0 };
+}
+
+/*
+ * Converts integer units at a decimal scale back to Decimal128.
+ */
+function fromFixedPoint(units, scale) {
+    const digits = (units < 0n ? -units : units)
+        .toString()
+        .padStart(scale + 1, '0');
+    const whole = digits.slice(0, digits.length - scale);
+    const fraction = scale > 0 ? `.${digits.slice(-scale)}` : '';
+
+    return Decimal128.fromString(
+        `${units < 0n ? '-' : ''}${whole}${fraction}`
+    );
+}
+
+/*
+ * Returns the units of fixed-point amounts aligned to one scale
+ * (the finest among them, at least minScale).
+ */
+function alignFixedPoints(points, minScale = 0) {
+    const scale = Math.max(minScale, ...points.map(point => point.scale));
+    return {
+        scale,
+        units: points.map(point =>
+            point.units * 10n ** BigInt(scale - point.scale))
+    };
+}
+
+/*
+ * Adds fixed-point amounts exactly and returns the total as Decimal128.
+ */
+function addFixedPoints(points) {
+    const { scale, units } = alignFixedPoints(points);
+    return fromFixedPoint(
+        units.reduce((total, value) => total + value, 0n),
+        scale
+    );
+}
+
+/*
+ * Adds amounts exactly. Returns the total as Decimal128
+ * (0 for an empty list).
+ */
+function sumAmounts(values) {
+    return addFixedPoints(values.map(toFixedPoint));
+}
+
+/*
+ * Subtracts the second amount from the first exactly.
+ * Returns the difference as Decimal128.
+ */
+function subtractAmounts(minuend, subtrahend) {
+    const { units, scale } = toFixedPoint(subtrahend);
+    return addFixedPoints([toFixedPoint(minuend), { units: -units, scale }]);
+}
+
+/*
+ * Splits a non-negative amount in proportion to the weights (shares
+ * or percentages). Parts are rounded down to minor units, or to the
+ * amount's own precision when finer, and the units left over go to
+ * the parts with the largest remainders (earlier parts first on
+ * ties), so the parts always add up to the amount exactly.
+ * Returns one Decimal128 part per weight.
+ */
+function splitAmount(total, weights) {
+    const amount = alignFixedPoints(
+        [toFixedPoint(total)],
+        MINOR_UNIT_DECIMALS
+    );
+    const units = amount.units[0];
+    // Weights as integers of a common scale
+    const shares = alignFixedPoints(weights.map(toFixedPoint)).units;
+    const totalShares = shares.reduce((sum, share) => sum + share, 0n);
+
+    // Round every part down, remembering what was cut off
+    const parts = shares.map((share, index) => ({
+        index,
+        units: (units * share) / totalShares,
+        remainder: (units * share) % totalShares
+    }));
+    let leftover =
+        units - parts.reduce((sum, part) => sum + part.units, 0n);
+
+    // Hand out the leftover units by largest remainder
+    const byRemainder = [...parts].sort((a, b) => {
+        if (a.remainder !== b.remainder) {
+            return a.remainder > b.remainder ? -1 : 1;
+        }
+        return a.index - b.index;
+    });
+
+    for (const part of byRemainder) {
+        if (leftover === 0n) {
+            break;
+        }
+        part.units += 1n;
+        leftover -= 1n;
+    }
+    return parts.map(part => fromFixedPoint(part.units, amount.scale));
+}
+
+/*
+ * Divides fixed-point amounts exactly, rounding the quotient half
+ * away from zero to the given decimals. Returns it as Decimal128.
+ */
+function divideFixedPoints(dividend, divisor, decimals) {
+    const [numerator, denominator] =
+        alignFixedPoints([dividend, divisor]).units;
+    const scaled = numerator * 10n ** BigInt(decimals);
+    const absolute = value => (value < 0n ? -value : value);
+    let quotient = absolute(scaled) / absolute(denominator);
+
+    // Round half away from zero
+    if (
+        2n * (absolute(scaled) % absolute(denominator)) >=
+        absolute(denominator)
+    ) {
+        quotient += 1n;
+    }
+    return fromFixedPoint(
+        (scaled < 0n) !== (denominator < 0n) ? -quotient : quotient,
+        decimals
+    );
+}
+
+/*
+ * Divides an amount by a non-zero number (e.g. a count), rounded
+ * to minor units. Returns the quotient as Decimal128.
+ */
+function divideAmount(amount, divisor) {
+    return divideFixedPoints(
+        toFixedPoint(amount),
+        toFixedPoint(divisor),
+        MINOR_UNIT_DECIMALS
+    );
+}
+
+/*
+ * Returns the part as a percentage of the non-zero whole, rounded
+ * to PERCENT_DECIMALS, as Decimal128.
+ */
+function percentOf(part, whole) {
+    const { units, scale } = toFixedPoint(part);
+    return divideFixedPoints(
+        { units: units * 100n, scale },
+        toFixedPoint(whole),
+        PERCENT_DECIMALS
+    );
+}
+
+export {
+    toDecimal,
+    toAmount,
+    sumAmounts,
+    subtractAmounts,
+    splitAmount,
+    divideAmount,
+    percentOf
+};
@@ -0,0 +1,205 @@
+/*
+ * Pagination Utilities
+ * Cursor-based paging and sorting for list endpoints.
+ * Cursors are opaque base64url tokens bound to the sort field.
+ */
+// MongoDB library for the Decimal128 type
+import mongoose from 'mongoose';
+
+// Page size used when the client does not send a limit
+const DEFAULT_LIMIT = 100;
+// Largest page size a client may request
+const MAX_LIMIT = 1000;
+
+/*
+ * Parses the limit query parameter.
+ * Returns the page size, or null when the value is invalid.
+ */
+function parseLimit(limit) {
+    // Use default page size when limit is omitted
+    if (typeof limit === 'undefined') {
+        return DEFAULT_LIMIT;
+    }
+    // Convert limit to number
+    const numericLimit = Number(limit);
+
+    // Accept only integers between 1 and MAX_LIMIT
+    if (
+        !Number.isInteger(numericLimit) ||
+        numericLimit < 1 ||
+        numericLimit > MAX_LIMIT
+    ) {
+        return null;
+    }
+    return numericLimit;
+}
+
+/*
+ * Parses the sort query parameter ('field' or '-field' for descending).
+ * Returns { field, direction }, or null for fields not in the allow list.
+ */
+function parseSort(sort, allowedFields, defaultField) {
+    // Use default ascending sort when omitted
+    if (typeof sort === 'undefined') {
+        return { field: defaultField, direction: 1 };
+    }
+    // A leading '-' means descending order
+    const descending = String(sort).startsWith('-');
+    const field = descending ? String(sort).slice(1) : String(sort);
+
+    // Reject fields that cannot be sorted on
+    if (!allowedFields.includes(field)) {
+        return null;
+    }
+    return { field, direction: descending ? -1 : 1 };
+}
+
+/*
+ * Serializes a sort value so dates and decimals survive the round trip.
+ */
+function encodeValue(value) {
+    // Keep dates distinguishable from plain strings
+    if (value instanceof Date) {
+        return { d: value.toISOString() };
+    }
+    // Keep exact decimals (e.g. cost sums) as strings
+    if (value instanceof mongoose.Types.Decimal128) {
+        return { n: value.toString() };
+    }
+    return { v: value };
+}
+
+/*
+ * Restores a sort value serialized by encodeValue.
+ */
+function decodeValue(encoded) {
+    // Rebuild Date objects
+    if (typeof encoded?.d === 'string') {
+        return new Date(encoded.d);
+    }
+    // Rebuild Decimal128 values
+    if (typeof encoded?.n === 'string') {
+        return mongoose.Types.Decimal128.fromString(encoded.n);
+    }
+    return encoded?.v;
+}
+
+/*
+ * Builds the cursor pointing after the given document.
+ */
+function encodeCursor(doc, sort, tiebreaker) {
+    // Cursor payload: sort field, sort value and tiebreaker value
+    const payload = {
+        f: sort.field,
+        s: encodeValue(doc[sort.field]),
+        t: encodeValue(doc[tiebreaker])
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/*
+ * Decodes a cursor for the given sort field.
+ * Returns { value, tiebreak }, or null when the cursor is invalid.
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        // Decode base64url JSON payload
+        const payload = JSON.parse(
+            Buffer.from(String(cursor), 'base64url').toString('utf8')
+        );
+
+        // Cursor must belong to the same sort field
+        if (payload?.f !== sort.field || !payload.s || !payload.t) {
+            return null;
+        }
+        return {
+            value: decodeValue(payload.s),
+            tiebreak: decodeValue(payload.t)
+        };
+    } catch (err) {
+        // Malformed cursor
+        return null;
+    }
+}
+
+/*
+ * Builds the filter selecting documents after the cursor position.
+ * Ties on the sort field are resolved by the unique tiebreaker.
+ */
+function buildCursorFilter(sort, cursor, tiebreaker) {
+    // Comparison operator depends on sort direction
+    const op = sort.direction === 1 ? '$gt' : '$lt';
+
+    // Sorting on the tiebreaker itself needs a single comparison
+    if (sort.field === tiebreaker) {
+        return { [tiebreaker]: { [op]: cursor.tiebreak } };
+    }
+    return {
+        $or: [
+            { [sort.field]: { [op]: cursor.value } },
+            {
+                [sort.field]: cursor.value,
+                [tiebreaker]: { [op]: cursor.tiebreak }
+            }
+        ]
+    };
+}
+
+/*
+ * Fetches one page of documents matching the filter.
+ * Returns { items, total, nextCursor } (nextCursor is null on last page).
+ */
+async function findPage(Model, filter, options) {
+    const { sort, limit, cursor, tiebreaker, select = {} } = options;
+
+    // Restrict to documents after the cursor, if any
+    const pageFilter = cursor
+        ? { $and: [filter, buildCursorFilter(sort, cursor, tiebreaker)] }
+        : filter;
+
+    // Fetch one extra document to detect a following page
+    const [docs, total] = await Promise.all([
+        Model.find(pageFilter)
+            .select(select)
+            .sort({
+                [sort.field]: sort.direction,
+                [tiebreaker]: sort.direction
+            })
+            .limit(limit + 1)
+            .lean(),
+        Model.countDocuments(filter)
+    ]);
+
+    // Trim the extra document and build the next cursor
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    const nextCursor = hasMore
+        ? encodeCursor(items[items.length - 1], sort, tiebreaker)
+        : null;
+
+    return { items, total, nextCursor };
+}
+
+/*
+ * Exposes paging metadata through response headers.
+ * Keeps the response body a plain array for existing clients.
+ */
+function setPageHeaders(res, page) {
+    // Total number of documents matching the filters
+    res.set('X-Total-Count', String(page.total));
+
+    // Cursor for the next page (omitted on the last page)
+    if (page.nextCursor) {
+        res.set('X-Next-Cursor', page.nextCursor);
+    }
+}
+
+export {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseLimit,
+    parseSort,
+    decodeCursor,
+    findPage,
+    setPageHeaders
+};
@@ -0,0 +1,214 @@
+/*
+ * Recurring Cost Scheduler
+ * Turns recurring cost definitions into cost documents when they
+ * fall due. Created costs carry their definition's id and a unique
+ * { recurring_id, date } index rejects repeats, so restarts and
+ * overlapping runs never duplicate a cost. Missed runs are caught
+ * up on the next run.
+ */
+// Mongoose models for definitions, costs and users
+import RecurringCost from '../models/recurring.model.js';
+import Cost from '../models/cost.model.js';
+import User from '../models/user.model.js';
+// Report cache invalidation for caught-up past months
+import { invalidateReports } from './reportCache.js';
+// Local midnight of the current day
+import { getStartOfToday } from './validation.js';
+// Logging utility for scheduler runs
+import { logger } from './logger.js';
+
+// Time between scheduler runs when RECURRING_INTERVAL_MS is unset
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+// MongoDB duplicate key error code
+const DUPLICATE_KEY_ERROR = 11000;
+
+/*
+ * Returns local midnight of the day after the given date.
+ */
+function nextDay(date) {
+    const next = new Date(date);
+    next.setHours(0, 0, 0, 0);
+    next.setDate(next.getDate() + 1);
+    return next;
+}
+
+/*
+ * Lists the dates (local midnight) between from and to, inclusive,
+ * on which the schedule falls due.
+ */
+function listDueDates({ frequency, day }, from, to) {
+    const start = new Date(from);
+    start.setHours(0, 0, 0, 0);
+    const dates = [];
+
+    // Weekly: every 7 days from the first matching weekday
+    if (frequency === 'weekly') {
+        // Schedule days run Monday (1) to Sunday (7), getDay() from 0
+        const date = new Date(start);
+        date.setDate(date.getDate() + (day - date.getDay() + 7) % 7);
+
+        for (; date <= to; date.setDate(date.getDate() + 7)) {
+            dates.push(new Date(date));
+        }
+        return dates;
+    }
+
+    // Monthly: the day of every month, clamped to the month's length
+    const year = start.getFullYear();
+
+    for (
+        let month = start.getMonth();
+        new Date(year, month, 1) <= to;
+        month += 1
+    ) {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        const date = new Date(year, month, Math.min(day, lastDay));
+
+        if (date >= start && date <= to) {
+            dates.push(date);
+        }
+    }
+    return dates;
+}
+
+/*
+ * Creates the costs of one definition that fell due since its last
+ * run, up to and including today. Spending limits are not applied:
+ * scheduled commitments are always booked. Returns the created costs.
+ */
+async function materializeRecurringCost(
+    definition,
+    today = getStartOfToday()
+) {
+    // Continue the day after the last run, or from the start date
+    const from = definition.materialized_through
+        ? nextDay(definition.materialized_through)
+        : definition.start_date;
+    // Stop at today or at the end date, whichever comes first
+    const to = definition.end_date && definition.end_date < today
+        ? definition.end_date
+        : today;
+
+    // Nothing new to create
+    if (from > to) {
+        return [];
+    }
+
+    // Deleted users get no further costs
+    const userActive = await User.exists({
+        id: definition.userid,
+        deleted_at: null
+    });
+    const dueDates =
+        userActive ? listDueDates(definition.schedule, from, to) : [];
+    const created = [];
+
+    for (const date of dueDates) {
+        const cost = new Cost({
+            description: definition.description,
+            category: definition.category,
+            userid: definition.userid,
+            sum: definition.sum,
+            currency: definition.currency,
+            tags: definition.tags,
+            date,
+            recurring_id: definition._id
+        });
+        // Catch-up runs create costs for earlier days
+        cost.$locals.allowPastDate = true;
+
+        try {
+            created.push(await cost.save());
+        } catch (err) {
+            // Already created by an earlier, interrupted run
+            if (err?.code !== DUPLICATE_KEY_ERROR) {
+                throw err;
+            }
+        }
+    }
+
+    // Remember progress so later runs start after this one
+    await RecurringCost.updateOne(
+        { _id: definition._id },
+        { $set: { materialized_through: to } }
+    );
+
+    // Past months may already have a cached report
+    await invalidateReports(created);
+    return created;
+}
+
+/*
+ * Runs every definition that may have costs due.
+ * A failing definition is logged and does not stop the others.
+ * Returns the number of created costs.
+ */
+async function materializeRecurringCosts(today = getStartOfToday()) {
+    const definitions = await RecurringCost.find({
+        start_date: { $lt: nextDay(today) },
+        $or: [
+            { materialized_through: null },
+            { materialized_through: { $lt: today } }
+        ]
+    }).lean();
+    let created = 0;
+
+    for (const definition of definitions) {
+        try {
+            created +=
+                (await materializeRecurringCost(definition, today)).length;
+        } catch (err) {
+            logger.error(
+                { err, recurring_id: definition._id },
+                'Failed to create recurring costs.'
+            );
+        }
+    }
+    return created;
+}
+
+/*
+ * Starts the scheduler inside the Costs service: runs immediately,
+ * then every RECURRING_INTERVAL_MS milliseconds (default one hour).
+ * Returns a function stopping the scheduler.
+ */
+function startRecurringScheduler({
+    intervalMs = Number(process.env.RECURRING_INTERVAL_MS) ||
+        DEFAULT_INTERVAL_MS
+} = {}) {
+    let running = false;
+
+    const run = async () => {
+        // Skip while the previous run is still going
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const created = await materializeRecurringCosts();
+
+            if (created > 0) {
+                logger.info({ created }, 'Recurring costs created.');
+            }
+        } catch (err) {
+            logger.error({ err }, 'Recurring cost run failed.');
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    // The scheduler alone does not keep the process alive
+    timer.unref();
+
+    return () => clearInterval(timer);
+}
+
+export {
+    listDueDates,
+    materializeRecurringCost,
+    materializeRecurringCosts,
+    startRecurringScheduler
+};
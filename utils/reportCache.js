@@ -0,0 +1,62 @@
+/*
+ * Report Cache Utilities
+ * Invalidation helpers for the Computed Pattern report cache.
+ * Called whenever costs of an already cached month change.
+ * Cached yearly reports of the affected years are dropped as well.
+ */
+// Mongoose models for cached monthly and yearly reports
+import Report from '../models/report.model.js';
+import YearlyReport from '../models/yearly_report.model.js';
+
+/*
+ * Removes cached reports for the months (and years) touched by the
+ * given costs. Each entry needs a userid and a date; duplicates are
+ * collapsed.
+ */
+async function invalidateReports(entries) {
+    // Collect distinct (userid, year, month) keys
+    const keys = new Map();
+
+    for (const { userid, date } of entries) {
+        const costDate = new Date(date);
+        const key = {
+            userid,
+            year: costDate.getFullYear(),
+            month: costDate.getMonth() + 1
+        };
+        keys.set(`${key.userid}:${key.year}:${key.month}`, key);
+    }
+
+    // Nothing to invalidate
+    if (keys.size === 0) {
+        return;
+    }
+
+    // Delete every affected cached report in one query per model
+    await Report.deleteMany({ $or: [...keys.values()] });
+    await YearlyReport.deleteMany({
+        $or: [...keys.values()].map(({ userid, year }) => ({ userid, year }))
+    });
+}
+
+/*
+ * Removes cached reports of every user from the month of the given
+ * date onward, e.g. after an exchange rate in effect from then changed.
+ */
+async function invalidateReportsFrom(date) {
+    const fromDate = new Date(date);
+    const year = fromDate.getFullYear();
+    const month = fromDate.getMonth() + 1;
+
+    // Later years, or later months of the same year
+    await Report.deleteMany({
+        $or: [
+            { year: { $gt: year } },
+            { year, month: { $gte: month } }
+        ]
+    });
+    // Yearly reports of that year on
+    await YearlyReport.deleteMany({ year: { $gte: year } });
+}
+
+export { invalidateReports, invalidateReportsFrom };
@@ -0,0 +1,342 @@
+/*
+ * Validation Utilities
+ * Shared field checks used by the route handlers.
+ * Keeps create and update endpoints on identical rules.
+ */
+// Default cost categories (used when no list is passed in)
+import DEFAULT_CATEGORIES from '../config/categories.js';
+// Currency code normalization
+import { parseCurrency } from './currency.js';
+// Exact sums for split percentages
+import { toAmount, sumAmounts } from './money.js';
+
+/*
+ * Returns the start of today (00:00:00 server local time).
+ * Used as the boundary for past and future date checks.
+ */
+function getStartOfToday() {
+    // Get current date
+    const startOfToday = new Date();
+    // Set time to midnight
+    startOfToday.setHours(0, 0, 0, 0);
+    return startOfToday;
+}
+
+/*
+ * Converts a value to a positive integer.
+ * Returns null when the value is not a positive integer.
+ */
+function toPositiveInteger(value) {
+    // Convert value to number
+    const numericValue = Number(value);
+
+    // Reject non-integers, zero and negative numbers
+    if (!Number.isInteger(numericValue) || numericValue <= 0) {
+        return null;
+    }
+    return numericValue;
+}
+
+/*
+ * Parses and validates a birthday value.
+ * Returns { date } on success or { message } describing the error.
+ */
+function parseBirthday(birthday) {
+    // Parse birthday into a Date object
+    const birthdayDate = new Date(birthday);
+
+    // Check if date parsing succeeded
+    if (Number.isNaN(birthdayDate.getTime())) {
+        return { message: 'Invalid birthday format.' };
+    }
+
+    // Reject if birthday is after today
+    if (birthdayDate > getStartOfToday()) {
+        return { message: 'Birthday cannot be in the future.' };
+    }
+    return { date: birthdayDate };
+}
+
+// Largest number of tags on one cost item
+const MAX_TAGS = 10;
+// Longest tag accepted
+const MAX_TAG_LENGTH = 30;
+// Letters and digits, then also hyphens and underscores
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+/*
+ * Normalizes a list of tags (trimmed, lowercase, without duplicates).
+ * Returns { tags } on success or { message } describing the error.
+ */
+function parseTags(tags) {
+    // Tags must be provided as an array
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+        return {
+            message: `Tags must be an array of at most ${MAX_TAGS} tags.`
+        };
+    }
+
+    const normalized = [];
+
+    for (const tag of tags) {
+        const tagTrimmed =
+            typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+
+        // Reject empty, overly long and malformed tags
+        if (
+            tagTrimmed.length > MAX_TAG_LENGTH ||
+            !TAG_PATTERN.test(tagTrimmed)
+        ) {
+            return {
+                message:
+                    `Tag '${tag}' is invalid. Tags must be ` +
+                    `1-${MAX_TAG_LENGTH} letters, digits, hyphens ` +
+                    'or underscores.'
+            };
+        }
+        // Skip duplicates
+        if (!normalized.includes(tagTrimmed)) {
+            normalized.push(tagTrimmed);
+        }
+    }
+    return { tags: normalized };
+}
+
+// Largest number of users sharing one cost
+const MAX_SPLIT_USERS = 20;
+
+/*
+ * Validates a cost split: an array of { userid, shares } entries,
+ * or of { userid, percent } entries adding up to 100.
+ * Returns { parts: [{ userid, weight }] } on success (weight being
+ * the shares or percent) or { message } describing the error.
+ */
+function parseSplit(split) {
+    // Split must list several users
+    if (
+        !Array.isArray(split) ||
+        split.length < 2 ||
+        split.length > MAX_SPLIT_USERS
+    ) {
+        return {
+            message:
+                `Split must be an array of 2-${MAX_SPLIT_USERS} users.`
+        };
+    }
+
+    // Every entry uses the unit of the first one
+    const unit =
+        typeof split[0]?.percent === 'undefined' ? 'shares' : 'percent';
+    const otherUnit = unit === 'shares' ? 'percent' : 'shares';
+    const parts = [];
+
+    for (const entry of split) {
+        const userid = toPositiveInteger(entry?.userid);
+        const weight = entry?.[unit];
+
+        // Each user needs a positive weight of the common unit
+        if (
+            userid === null ||
+            typeof weight !== 'number' ||
+            !Number.isFinite(weight) ||
+            weight <= 0 ||
+            typeof entry[otherUnit] !== 'undefined'
+        ) {
+            return {
+                message:
+                    'Each split entry needs a positive integer userid ' +
+                    'and positive shares, or a positive percent ' +
+                    '(the same unit for every entry).'
+            };
+        }
+        // A user appears once
+        if (parts.some(part => part.userid === userid)) {
+            return { message: 'Split users must be distinct.' };
+        }
+        parts.push({ userid, weight });
+    }
+
+    // Percentages must cover the whole cost
+    if (
+        unit === 'percent' &&
+        toAmount(sumAmounts(parts.map(part => part.weight))) !== 100
+    ) {
+        return { message: 'Split percentages must add up to 100.' };
+    }
+    return { parts };
+}
+
+/*
+ * Validates cost fields with the rules of cost creation.
+ * With { partial: true } only the provided fields are checked
+ * (used by updates); { allowPastDate: true } accepts historical
+ * dates (admin backfill). { categories } is the accepted category
+ * list, normally read from the database with getCategories().
+ * Returns { value } holding the normalized fields, or { message }
+ * describing the first error.
+ */
+function validateCostFields(
+    body,
+    {
+        partial = false,
+        allowPastDate = false,
+        categories = DEFAULT_CATEGORIES
+    } = {}
+) {
+    const {
+        description,
+        category,
+        userid,
+        sum,
+        currency,
+        date,
+        tags,
+        paid_by: paidBy
+    } = body || {};
+    const value = {};
+
+    // Normalize text fields
+    const descriptionTrimmed =
+        typeof description === 'string' ? description.trim() : undefined;
+    const categoryTrimmed =
+        typeof category === 'string'
+            ? category.trim().toLowerCase()
+            : undefined;
+
+    // Creation requires every field except date
+    if (
+        !partial &&
+        (
+            !descriptionTrimmed ||
+            !categoryTrimmed ||
+            typeof userid === 'undefined' ||
+            typeof sum === 'undefined'
+        )
+    ) {
+        return { message: 'Missing required fields.' };
+    }
+
+    // Validate description when provided
+    if (typeof description !== 'undefined') {
+        if (!descriptionTrimmed) {
+            return { message: 'Description cannot be empty.' };
+        }
+        value.description = descriptionTrimmed;
+    }
+
+    // Validate category when provided
+    if (typeof category !== 'undefined') {
+        // Category must be in the list of accepted categories
+        if (!categories.includes(categoryTrimmed)) {
+            return {
+                message:
+                    `Category '${categoryTrimmed ?? category}' is not ` +
+                    'in the list of accepted categories. ' +
+                    'The accepted categories are: ' +
+                    `${categories.join(', ')}.`
+            };
+        }
+        value.category = categoryTrimmed;
+    }
+
+    // Validate user ID when provided
+    if (typeof userid !== 'undefined') {
+        const numericUserId = toPositiveInteger(userid);
+
+        if (numericUserId === null) {
+            return { message: 'User ID must be a positive integer.' };
+        }
+        value.userid = numericUserId;
+    }
+
+    // Validate sum when provided
+    if (typeof sum !== 'undefined') {
+        const numericSum = Number(sum);
+
+        // Reject null, Infinity, -Infinity, NaN, or negative sums
+        if (sum === null || !Number.isFinite(numericSum) || numericSum < 0) {
+            return { message: 'Sum must be a non-negative finite number.' };
+        }
+        value.sum = numericSum;
+    }
+
+    // Validate payer when provided (defaults to the cost's user)
+    if (typeof paidBy !== 'undefined') {
+        const numericPaidBy = toPositiveInteger(paidBy);
+
+        if (numericPaidBy === null) {
+            return { message: 'Paid by must be a positive integer user ID.' };
+        }
+        value.paid_by = numericPaidBy;
+    }
+
+    // Validate currency when provided (creation defaults to base)
+    if (typeof currency !== 'undefined') {
+        const currencyCode = parseCurrency(currency);
+
+        if (currencyCode === null) {
+            return { message: 'Currency must be a 3-letter currency code.' };
+        }
+        value.currency = currencyCode;
+    }
+
+    // Validate tags when provided (an empty array clears them)
+    if (typeof tags !== 'undefined') {
+        const parsedTags = parseTags(tags);
+
+        if (parsedTags.message) {
+            return { message: parsedTags.message };
+        }
+        value.tags = parsedTags.tags;
+    }
+
+    // Creation defaults the date to the current server time
+    if (typeof date !== 'undefined' || !partial) {
+        const costDate = date ? new Date(date) : new Date();
+
+        // Validate date format (updates never default an empty date)
+        if ((partial && !date) || Number.isNaN(costDate.getTime())) {
+            return { message: 'Invalid date format.' };
+        }
+
+        // Prevent past-dated costs (before 00:00:00 today)
+        if (!allowPastDate && costDate < getStartOfToday()) {
+            return { message: 'Date cannot be in the past.' };
+        }
+        value.date = costDate;
+    }
+
+    return { value };
+}
+
+/*
+ * Parses an optional date query parameter.
+ * Returns undefined when omitted, null when invalid.
+ */
+function parseOptionalDate(value) {
+    // Parameter not provided
+    if (typeof value === 'undefined') {
+        return undefined;
+    }
+    // Parse value into a Date object
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/*
+ * Escapes a string for literal use inside a regular expression.
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export {
+    getStartOfToday,
+    toPositiveInteger,
+    parseBirthday,
+    parseTags,
+    parseSplit,
+    validateCostFields,
+    parseOptionalDate,
+    escapeRegExp
+};